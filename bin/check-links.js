@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Check the links of a content tree, for use in CI
+ *
+ * Usage: node bin/check-links.js --content-dir=<path> [--format=text|json] [--ignore-orphans]
+ *
+ * Exit codes: 0 when no problem was found, 1 when broken links, missing anchors or orphan pages
+ * were found, 2 when the check could not run.
+ */
+
+// Keep the report readable: only warnings and errors are logged unless LOG_LEVEL says otherwise
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { args, validateContentDir, CONTENT_DIR } = await import('../config/content-dir.js');
+const ContentIndex = await import('../services/content-index.service.js');
+const LinkService = await import('../services/link.service.js');
+
+const format = args.format || 'text';
+const includeOrphans = !args['ignore-orphans'];
+
+try {
+  await validateContentDir();
+  await ContentIndex.buildContentIndex();
+} catch (error) {
+  console.error(`Content directory error: ${error.message}`);
+  process.exit(2);
+}
+
+const report = await LinkService.checkLinks({ includeOrphans });
+
+if (report.error) {
+  console.error(`${report.error}: ${report.details}`);
+  process.exit(2);
+}
+
+if (format === 'json') {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
+
+process.exit(report.ok ? 0 : 1);
+
+/**
+ * Print a report as plain text, one problem per line (file:line: message)
+ * @param {Object} report - Result of LinkService.checkLinks
+ */
+function printReport(report) {
+  for (const link of report.brokenLinks) {
+    console.log(`${link.source}:${link.line}: broken ${link.type} '${link.target}' (${link.reason})`);
+  }
+  for (const link of report.missingAnchors) {
+    console.log(`${link.source}:${link.line}: missing anchor '#${link.anchor}' (link '${link.target}')`);
+  }
+  for (const orphan of report.orphans) {
+    console.log(`${orphan.path}: orphan page, no document links to it`);
+  }
+
+  console.log(`\n${CONTENT_DIR}: ${report.links} links checked in ${report.documents} documents, `
+    + `${report.brokenLinks.length} broken, ${report.missingAnchors.length} missing anchors, `
+    + `${report.orphans.length} orphans`);
+}
@@ -23,6 +23,279 @@ export const config = {
     'styles'
   ],
   
+  // Directory structure settings
+  structure: {
+    // Maximum number of levels returned by /api/structure?recursive=true
+    maxDepth: 20
+  },
+  
+  // Full-text search settings
+  search: {
+    // Number of results per page when none is requested
+    defaultPageSize: 10,
+    // Upper bound for the requested page size
+    maxPageSize: 50,
+    // Number of characters around the first match in a snippet
+    snippetLength: 160,
+    // Relative weight of each indexed field
+    fieldWeights: {
+      title: 5,
+      tags: 4,
+      headings: 3,
+      body: 1
+    }
+  },
+  
+  // Related documents scoring
+  related: {
+    weights: {
+      // Document listed in the other's `related:` front-matter
+      explicit: 10,
+      // Per shared tag
+      tag: 3,
+      // Same `category`
+      category: 2,
+      // Per shared significant title word
+      titleTerm: 1,
+      // Path proximity, divided by (1 + directory distance); only added to documents related otherwise
+      path: 2
+    },
+    // Directory distance up to which path proximity is reported as a reason
+    maxReportedDistance: 1
+  },
+  
+  // Taxonomies exposed as /api/{name} and /api/{name}/{term}
+  // Maps the route name to the front-matter field holding the terms
+  taxonomies: {
+    tags: 'tags',
+    categories: 'category'
+  },
+  
+  // Content directory watcher settings
+  watcher: {
+    // Set to false to disable live cache invalidation and /api/events
+    enabled: true,
+    // Quiet period before a burst of file-system events is reported
+    debounceMs: 100,
+    // Interval between keep-alive comments on /api/events streams
+    heartbeatInterval: 30000
+  },
+  
+  // Document history read from the git repository holding CONTENT_DIR
+  // (/api/history, /api/diff and /api/content/{path}?rev=)
+  history: {
+    // Commits returned by /api/history when no limit is given, and the largest accepted limit
+    defaultLimit: 50,
+    maxLimit: 500,
+    // Time limit for a single git command, in milliseconds
+    timeout: 10000,
+    // Largest output accepted from git (file content or diff), in bytes
+    maxOutputSize: 10 * 1024 * 1024
+  },
+  
+  // Write API (PUT/POST/PATCH/DELETE /api/content/{path}, POST /api/move)
+  write: {
+    // Set to false to serve the content read-only
+    enabled: process.env.WRITE_ENABLED !== 'false',
+    // Groups allowed to edit; '*' lets any authenticated caller edit
+    editorGroups: process.env.EDITOR_GROUPS
+      ? process.env.EDITOR_GROUPS.split(',').map(group => group.trim()).filter(Boolean)
+      : ['editors'],
+    // Reject changes to existing documents that do not carry If-Match (428)
+    requireIfMatch: true,
+    // Largest accepted request body, in bytes
+    maxBodySize: 5 * 1024 * 1024
+  },
+  
+  // Metadata schemas (rules described in services/schema.service.js)
+  schemas: {
+    // Directory .metadata files, checked by PUT /api/metadata/{dir}
+    directory: {
+      fields: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        icon: { type: 'string' },
+        order: { type: 'number' },
+        index: { type: 'string' },
+        default: { type: 'string' },
+        access: { type: ['array', 'string'], items: 'string' }
+      },
+      // Accept fields without a rule
+      additionalFields: true
+    },
+    // Document front-matter, reported by GET /api/diagnostics/frontmatter
+    frontmatter: {
+      fields: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        // FRONTMATTER_TAGS restricts tags to a comma-separated vocabulary
+        tags: {
+          type: ['array', 'string'],
+          items: 'string',
+          separator: ',',
+          ...(process.env.FRONTMATTER_TAGS && {
+            enum: process.env.FRONTMATTER_TAGS.split(',').map(tag => tag.trim()).filter(Boolean)
+          })
+        },
+        category: { type: ['array', 'string'], items: 'string', separator: ',' },
+        order: { type: 'number' },
+        date: { type: 'date', format: ['date', 'date-time'] },
+        author: { type: 'string' },
+        related: { type: ['array', 'string'], items: 'string' },
+        access: { type: ['array', 'string'], items: 'string' },
+        // Publication (see services/publication.service.js)
+        draft: { type: 'boolean' },
+        publishDate: { type: 'date', format: ['date', 'date-time'] },
+        expiryDate: { type: 'date', format: ['date', 'date-time'] }
+      },
+      // Accept fields without a rule
+      additionalFields: true
+    }
+  },
+  
+  // HTTP response settings
+  http: {
+    // Cache-Control sent with validated responses; clients revalidate with ETag / Last-Modified
+    cacheControl: 'no-cache'
+  },
+  
+  // Static assets served by /api/assets/{path}
+  assets: {
+    // URL prefix used when rewriting relative asset URLs in documents
+    // (set to an absolute URL when the frontend runs on another origin)
+    baseUrl: process.env.ASSETS_BASE_URL || '/api/assets',
+    // Rewrite relative image and attachment URLs in returned documents by default;
+    // clients can override per request with ?rewriteAssets=true|false
+    rewriteUrls: process.env.ASSETS_REWRITE_URLS === 'true',
+    // Cache-Control for asset responses (made private when the caller is authenticated)
+    cacheControl: 'public, max-age=3600',
+    // MIME types by extension; anything else is application/octet-stream
+    mimeTypes: {
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.avif': 'image/avif',
+      '.svg': 'image/svg+xml',
+      '.ico': 'image/x-icon',
+      '.pdf': 'application/pdf',
+      '.zip': 'application/zip',
+      '.json': 'application/json',
+      '.txt': 'text/plain; charset=utf-8',
+      '.csv': 'text/csv; charset=utf-8',
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm',
+      '.mp3': 'audio/mpeg',
+      '.woff2': 'font/woff2'
+    }
+  },
+  
+  // Response compression settings
+  compression: {
+    enabled: true,
+    // Responses smaller than this many bytes are sent uncompressed
+    minSize: 1024,
+    // Supported encodings, in order of preference
+    encodings: ['br', 'gzip', 'deflate'],
+    // Brotli quality (0-11); lower is faster
+    brotliQuality: 4
+  },
+  
+  // Cross-origin resource sharing
+  cors: {
+    // Origins allowed to call the API: exact origins, wildcard subdomains ('https://*.example.com')
+    // or '*' for any origin (never combined with credentials)
+    allowedOrigins: process.env.CORS_ALLOWED_ORIGINS
+      ? process.env.CORS_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+      : ['http://localhost:4200'],
+    // Send Access-Control-Allow-Credentials to allowed origins (cookies, Authorization)
+    credentials: process.env.CORS_CREDENTIALS !== 'false',
+    // Default methods and request headers allowed in preflights
+    methods: ['GET', 'HEAD', 'OPTIONS'],
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-API-Key',
+      'Cache-Control',
+      'Pragma',
+      'Expires',
+      'If-None-Match',
+      'If-Modified-Since',
+      'Range',
+      'If-Range'
+    ],
+    // Response headers readable by the browser
+    exposedHeaders: [
+      'Content-Length',
+      'Content-Type',
+      'Cache-Control',
+      'Expires',
+      'ETag',
+      'Last-Modified',
+      'WWW-Authenticate',
+      'Accept-Ranges',
+      'Content-Range',
+      'Location'
+    ],
+    // Preflight cache duration in seconds
+    maxAge: 86400,
+    // Per-route overrides of methods / allowedHeaders, keyed by path prefix
+    routes: {
+      '/api/events': {
+        methods: ['GET', 'OPTIONS'],
+        allowedHeaders: ['Authorization', 'X-API-Key', 'Cache-Control', 'Last-Event-ID']
+      },
+      '/api/content': {
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'POST', 'PATCH', 'DELETE'],
+        allowedHeaders: [
+          'Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control', 'Pragma', 'Expires',
+          'If-None-Match', 'If-Modified-Since', 'If-Match', 'Range', 'If-Range'
+        ]
+      },
+      '/api/move': {
+        methods: ['POST', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match']
+      },
+      '/api/metadata': {
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT'],
+        allowedHeaders: [
+          'Content-Type', 'Authorization', 'X-API-Key', 'Cache-Control', 'Pragma', 'Expires',
+          'If-None-Match', 'If-Modified-Since', 'If-Match'
+        ]
+      },
+      '/api/order': {
+        methods: ['PUT', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+      }
+    }
+  },
+
+  // Authentication settings
+  // Each method is enabled by configuring its credentials source; requests without credentials are anonymous
+  // and only see content without `access:` restrictions
+  auth: {
+    // Realm advertised in WWW-Authenticate
+    realm: process.env.AUTH_REALM || 'tacia-docs',
+    // JSON file: [{ "name": "ci", "keyHash": "<hex sha256 of the key>", "groups": ["team-a"] }]
+    apiKeysFile: process.env.AUTH_API_KEYS_FILE,
+    // JSON file: { "alice": { "passwordHash": "scrypt:<salt hex>:<hash hex>", "groups": ["team-a"] } }
+    usersFile: process.env.AUTH_USERS_FILE,
+    jwt: {
+      // Shared secret for HS256/384/512 tokens
+      secret: process.env.JWT_SECRET,
+      // PEM public key for RS* and ES* tokens
+      publicKeyFile: process.env.JWT_PUBLIC_KEY_FILE,
+      // Expected `iss` and `aud` claims, checked when set
+      issuer: process.env.JWT_ISSUER,
+      audience: process.env.JWT_AUDIENCE,
+      // Claim holding the caller's groups
+      groupsClaim: process.env.JWT_GROUPS_CLAIM || 'groups',
+      // Allowed clock skew in seconds for `exp` / `nbf`
+      clockTolerance: 30
+    }
+  },
+
   // Default port for the server
   port: process.env.PORT || 7070,
   
@@ -0,0 +1,53 @@
+import path from 'path';
+import { existsSync } from 'fs';
+import { access } from 'fs/promises';
+import { config } from './app.config.js';
+
+/**
+ * Content directory resolution, shared by the server and the command-line tools
+ */
+
+// Parse command line arguments (--key=value, or --flag for true)
+export const args = process.argv.slice(2).reduce((acc, arg) => {
+  const [key, value] = arg.split('=');
+  if (key.startsWith('--')) {
+    acc[key.slice(2)] = value || true;
+  }
+  return acc;
+}, {});
+
+// Get content directory from args or config
+const contentDir = args['content-dir'] || config.contentDir;
+
+// Handle Cygwin paths (starts with /cygdrive/)
+let processedContentDir = contentDir;
+if (contentDir && contentDir.startsWith('/cygdrive/')) {
+  // Convert /cygdrive/c/... to c:/...
+  const pathParts = contentDir.split('/').filter(Boolean);
+  if (pathParts.length >= 3) {
+    const driveLetter = pathParts[1].charAt(0).toUpperCase();
+    const restOfPath = pathParts.slice(2).join('/');
+    processedContentDir = `${driveLetter}:/${restOfPath}`;
+  }
+}
+
+// Resolve the final content directory path (null when none is configured)
+export const CONTENT_DIR = processedContentDir ? path.resolve(processedContentDir) : null;
+
+/**
+ * Check that the content directory is configured, exists and is accessible
+ * @returns {Promise<void>}
+ * @throws {Error} Describing the problem
+ */
+export async function validateContentDir() {
+  if (!CONTENT_DIR) {
+    throw new Error('No content directory configured (use --content-dir=<path> or CONTENT_DIR)');
+  }
+
+  if (!existsSync(CONTENT_DIR)) {
+    throw new Error(`Directory does not exist: ${CONTENT_DIR}`);
+  }
+
+  // Try to read the directory to verify access
+  await access(CONTENT_DIR);
+}
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as AccessService from '../services/access.service.js';
+import * as AssetService from '../services/asset.service.js';
+import { isNotModified, parseRange, appendVary } from '../utils/http.utils.js';
+import { isHiddenPath, resolveContentPath, PathError } from '../utils/path.utils.js';
+import { isContentFile } from '../utils/file.utils.js';
+
+const LOG = createLogger('AssetsController');
+
+/**
+ * Controller streaming images, PDFs and other binary files stored next to the documents
+ */
+class AssetsController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/assets/:path*', (req, res) => this.getAsset(req, res));
+  }
+
+  /**
+   * Stream an asset with cache validators and Range support
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async getAsset(req, res) {
+    try {
+      const requestedPath = req.params.path || '';
+      LOG.debug(`Handling asset request for: ${requestedPath}`);
+
+      const { relativePath, fullPath, exists } = await resolveContentPath(requestedPath);
+
+      // Documents go through /api/content (front-matter access rules, sanitization);
+      // hidden files and files the caller may not see are reported as missing
+      if (!exists || !relativePath || isHiddenPath(relativePath) || isContentFile(relativePath)
+        || !AccessService.canAccessPath(req.user, relativePath)) {
+        return this.sendNotFound(res, requestedPath);
+      }
+
+      const stats = await fs.promises.stat(fullPath);
+      if (!stats.isFile()) {
+        return this.sendNotFound(res, requestedPath);
+      }
+
+      const etag = `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+
+      res.setHeader('Content-Type', AssetService.getMimeType(relativePath));
+      appendVary(res, 'Authorization, X-API-Key');
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('ETag', etag);
+      res.setHeader('Last-Modified', stats.mtime.toUTCString());
+      res.setHeader('Cache-Control', req.user?.id ? config.assets.cacheControl.replace(/\bpublic\b/, 'private') : config.assets.cacheControl);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      // SVG and similar files must not run scripts when opened directly
+      res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+
+      if (isNotModified(req, etag, stats.mtime)) {
+        res.statusCode = 304;
+        res.removeHeader('Content-Type');
+        res.end();
+        return;
+      }
+
+      // A Range only applies if the client's copy is still the current one (If-Range)
+      const ifRange = req.headers['if-range'];
+      const rangeApplies = !ifRange || ifRange === etag
+        || (!ifRange.startsWith('W/') && !ifRange.startsWith('"')
+          && Date.parse(ifRange) >= Math.floor(stats.mtime.getTime() / 1000) * 1000);
+      const range = rangeApplies ? parseRange(req.headers.range, stats.size) : null;
+
+      if (range === false) {
+        res.statusCode = 416;
+        res.setHeader('Content-Range', `bytes */${stats.size}`);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          error: 'Range Not Satisfiable',
+          details: `The file is ${stats.size} bytes long`
+        }));
+        return;
+      }
+
+      const start = range ? range.start : 0;
+      const end = range ? range.end : stats.size - 1;
+
+      res.statusCode = range ? 206 : 200;
+      if (range) {
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+      }
+      res.setHeader('Content-Length', stats.size === 0 ? 0 : end - start + 1);
+
+      if (req.method === 'HEAD' || stats.size === 0) {
+        res.end();
+        return;
+      }
+
+      try {
+        await pipeline(fs.createReadStream(fullPath, { start, end }), res);
+      } catch (error) {
+        // Usually the client went away before the end of the stream
+        LOG.warn(`Asset stream interrupted for ${relativePath}: ${error.message}`);
+      }
+    } catch (error) {
+      this.handleError(res, error, 'Error serving asset');
+    }
+  }
+
+  /**
+   * Send a 404 response for a missing or hidden asset
+   * @private
+   */
+  sendNotFound(res, requestedPath) {
+    this.sendResponse(res, 404, {
+      error: 'Not Found',
+      message: 'The requested asset was not found',
+      path: requestedPath
+    });
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new AssetsController();
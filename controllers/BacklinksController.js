@@ -0,0 +1,74 @@
+import * as LinkService from '../services/link.service.js';
+import { createLogger } from '../logger.js';
+import { sendJson } from '../utils/http.utils.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('BacklinksController');
+
+/**
+ * Controller listing the documents that link to a given document
+ */
+class BacklinksController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/backlinks', (req, res) => this.getBacklinks(req, res));
+  }
+
+  /**
+   * Get the documents linking to a document, directory or asset
+   * Query parameters: path (required)
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async getBacklinks(req, res) {
+    try {
+      const targetPath = normalizeContentPath(req.query?.path);
+      LOG.debug(`Getting backlinks for path: ${targetPath}`);
+
+      const result = await LinkService.findBacklinks(targetPath, req.user);
+
+      if (result.error) {
+        const statusCode = result.error === 'Document not found'
+          ? 404
+          : result.error === 'Missing document path' ? 400 : 500;
+        return this.sendResponse(res, statusCode, result);
+      }
+
+      return sendJson(req, res, 200, result);
+    } catch (error) {
+      if (error instanceof PathError) {
+        LOG.warn(`Invalid backlinks path: ${error.message} (${error.path})`);
+        return this.sendResponse(res, 400, { ...error.toJSON(), backlinks: [] });
+      }
+      this.handleError(res, error, 'Error getting backlinks');
+    }
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new BacklinksController();
@@ -1,55 +1,32 @@
 import path from 'path';
 import fs from 'fs/promises';
-import { CONTENT_DIR } from '../server.js';
 import * as ContentService from '../services/content.service.js';
+import * as MarkdownService from '../services/markdown.service.js';
+import * as HtmlService from '../services/html.service.js';
+import * as MetadataService from '../services/metadata.service.js';
+import * as AssetService from '../services/asset.service.js';
+import * as HistoryService from '../services/history.service.js';
+import { config } from '../config/app.config.js';
+import * as AccessService from '../services/access.service.js';
 import { createLogger } from '../logger.js';
+import { sendJson, computeEtag } from '../utils/http.utils.js';
+import { isHiddenPath, normalizeContentPath, resolveContentPath, PathError } from '../utils/path.utils.js';
+import { isContentFile } from '../utils/file.utils.js';
 
 const LOG = createLogger('ContentController');
 
-// Simple YAML parser for frontmatter
-function parseYamlFrontmatter(yamlContent) {
-  const result = {};
-  const lines = yamlContent.split('\n');
-  
-  for (const line of lines) {
-    // Skip empty lines and comments
-    if (!line.trim() || line.trim().startsWith('#')) continue;
-    
-    const match = line.match(/^([a-zA-Z0-9_-]+):\s*(.*)$/);
-    if (match) {
-      const key = match[1].trim();
-      let value = match[2].trim();
-      
-      // Remove surrounding quotes if present
-      if ((value.startsWith('"') && value.endsWith('"')) || 
-          (value.startsWith("'") && value.endsWith("'"))) {
-        value = value.substring(1, value.length - 1);
-      }
-      
-      // Try to parse values appropriately
-      if (value === 'true') value = true;
-      else if (value === 'false') value = false;
-      else if (value === 'null' || value === '') value = null;
-      else if (!isNaN(value) && value !== '') value = Number(value);
-      else if (value.startsWith('[') && value.endsWith(']')) {
-        // Simple array parsing
-        value = value.substring(1, value.length - 1)
-          .split(',')
-          .map(item => item.trim().replace(/^['"]|['"]$/g, ''))
-          .filter(item => item.length > 0);
-      }
-      
-      result[key] = value;
-    }
-  }
-  
-  return result;
-}
-
 /**
  * Controller for handling content-related requests
  */
 class ContentController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/content/:path*', (req, res) => this.handleRequest(req, res));
+  }
+
   /**
    * Handle content requests (files only)
    * @param {http.IncomingMessage} req - HTTP request object
@@ -57,21 +34,38 @@ class ContentController {
    */
   async handleRequest(req, res) {
     try {
-      // the path is already extracted by the router
+      // the path is already extracted by the router; invalid paths are rejected first (PathError -> 400)
       const contentPath = req.params.path || '';
-      const hasExtension = path.extname(contentPath) !== '';
+      const normalizedPath = normalizeContentPath(contentPath);
+      const hasExtension = path.extname(normalizedPath) !== '';
+      
+      // Hidden files and directories (.git, dotfiles) are never served
+      if (isHiddenPath(normalizedPath)) {
+        return this.sendNotFound(res, contentPath);
+      }
       
       if (!hasExtension) {
-        // If no extension, this should be handled by StructureController
+        // If no extension, it's a directory - return a clear message
+        return this.sendResponse(res, 400, {
+          error: 'Directory listing not available',
+          message: 'Use /api/structure/ to list directory contents',
+          path: contentPath,
+          suggestedUrl: `/api/structure/${normalizedPath}`.replace(/\/+$/, '')
+        });
+      }
+      
+      // Other files than documents are assets
+      if (!isContentFile(normalizedPath)) {
         return this.sendResponse(res, 404, {
           error: 'Not Found',
-          message: 'Use /api/structure/ for directory listings',
-          path: contentPath
+          message: `Only documents (${config.contentExtensions.join(', ')}) are served here; use /api/assets/ for other files`,
+          path: contentPath,
+          suggestedUrl: `/api/assets/${normalizedPath}`
         });
       }
       
       // Handle file requests
-      return this.handleContentRequest(res, contentPath, req.query || {});
+      return this.handleContentRequest(req, res, contentPath, req.query || {});
       
     } catch (error) {
       this.handleError(res, error, 'Error handling request');
@@ -82,132 +76,145 @@ class ContentController {
    * Handle content requests (files with extensions)
    * @private
    */
-  async handleContentRequest(res, contentPath, queryParams) {
+  async handleContentRequest(req, res, contentPath, queryParams) {
     try {
       LOG.debug(`Handling content request for: ${contentPath}`);
       
-      // Normalize and secure the path
-      let safePath = path.normalize(contentPath)
-        .replace(/^([/\\])+/, '')
-        .replace(/[/\\]+\.\.\//g, '/')
-        .replace(/[/\\]+/g, '/');
-      
-      const fullPath = path.join(CONTENT_DIR, safePath);
+      // Reject traversal and symlinks leading outside CONTENT_DIR (PathError -> 400)
+      const { relativePath: safePath, fullPath } = await resolveContentPath(contentPath);
+      
+      // Documents the caller may not see are reported as missing; past revisions follow the
+      // history rules, which keep deleted and moved documents to editors
+      const visible = queryParams.rev !== undefined
+        ? AccessService.canAccessHistory(req.user, safePath)
+        : AccessService.canAccessPath(req.user, safePath);
+      if (!visible) {
+        LOG.debug(`Access denied to ${safePath} for ${req.user?.id || 'anonymous'}`);
+        return this.sendNotFound(res, contentPath);
+      }
       
-      // Security check to prevent path traversal attacks
-      if (!fullPath.startsWith(CONTENT_DIR)) {
-        LOG.warn(`Security warning: Attempted path traversal: ${contentPath}`);
-        return this.sendResponse(res, 400, { 
-          error: 'Invalid path', 
-          details: 'Path traversal not allowed' 
+      // Read the file content, or the version of a past revision from git (?rev=<sha>)
+      let fileContent;
+      let lastModified;
+      let revision = null;
+      
+      if (queryParams.rev !== undefined) {
+        LOG.debug(`Reading ${safePath} at revision ${queryParams.rev}`);
+        const result = await HistoryService.readFileAtRevision(safePath, queryParams.rev);
+        if (result.error) {
+          const statusCode = result.error === 'Invalid revision'
+            ? 400
+            : result.error.startsWith('Failed') ? 500 : 404;
+          return this.sendResponse(res, statusCode, { ...result, path: contentPath });
+        }
+        // The revision's own front-matter may have restricted or unpublished it
+        const { metadata: revisionMetadata } = MetadataService.parseFrontmatter(result.content, {
+          html: path.extname(safePath).toLowerCase() === '.html'
         });
+        if (!AccessService.canAccessRevision(req.user, safePath, revisionMetadata)) {
+          LOG.debug(`Access denied to ${safePath} at ${result.commit.shortSha} for ${req.user?.id || 'anonymous'}`);
+          return this.sendNotFound(res, contentPath);
+        }
+        fileContent = result.content;
+        revision = result.commit;
+        lastModified = new Date(revision.date);
+      } else {
+        LOG.debug(`Reading file from: ${fullPath}`);
+        const stats = await fs.stat(fullPath);
+        fileContent = await fs.readFile(fullPath, 'utf8');
+        lastModified = stats.mtime;
       }
       
-      LOG.debug(`Reading file from: ${fullPath}`);
-      
-      // Read the file content
-      const fileContent = await fs.readFile(fullPath, 'utf8');
-      
-      // Extract filename without extension for title
       const filename = path.basename(contentPath, path.extname(contentPath));
-      // Keep dashes in the filename, only replace underscores with spaces
-      let title = filename
-        .replace(/_/g, ' ')
-        .replace(/\b\w/g, l => l.toUpperCase());
-      
-      // Default metadata with just the title from filename
-      const metadata = {
-        title: title
-      };
-      
-      // Try to extract frontmatter if present
-      const frontmatterMatch = fileContent.match(/^---\s*\n([\s\S]*?)\n---/);
-      let contentWithoutFrontmatter = fileContent;
       
-      if (frontmatterMatch) {
-        const yamlContent = frontmatterMatch[1];
-        contentWithoutFrontmatter = fileContent.substring(frontmatterMatch[0].length).trim();
+      // Relative image and attachment URLs can be pointed at /api/assets (?rewriteAssets=true|false)
+      const rewriteAssets = queryParams.rewriteAssets !== undefined
+        ? queryParams.rewriteAssets === 'true'
+        : config.assets.rewriteUrls;
+      
+      // HTML documents are returned sanitized, with metadata from <title>, <meta> or comment front-matter
+      if (path.extname(safePath).toLowerCase() === '.html') {
+        const { metadata: htmlMetadata, body, error } = HtmlService.parseHtmlDocument(fileContent);
+        const { html, headings } = HtmlService.renderHtml(body);
+        if (error) {
+          LOG.warn(`Invalid front-matter in ${safePath} (line ${error.line}): ${error.message}`);
+        }
+        const metadata = MetadataService.normalizeMetadata(htmlMetadata, safePath);
         
-        try {
-          // First try with the YAML parser if available
-          try {
-            const yaml = await import('yaml');
-            const parsedYaml = yaml.parse(yamlContent);
-            if (parsedYaml && typeof parsedYaml === 'object') {
-              Object.assign(metadata, parsedYaml);
-            }
-          } catch (yamlError) {
-            LOG.debug('Falling back to simple YAML parser');
-            // Fallback to simple parser if YAML parsing fails
-            const parsedYaml = parseYamlFrontmatter(yamlContent);
-            Object.assign(metadata, parsedYaml);
-          }
-          
-          // Ensure title is always a string (fallback to filename)
-          if (!metadata.title || typeof metadata.title !== 'string') {
-            metadata.title = title;
-          }
-          
-          // Convert tags to array if it's a string
-          if (metadata.tags) {
-            if (typeof metadata.tags === 'string') {
-              metadata.tags = metadata.tags
-                .split(',')
-                .map(tag => tag.trim())
-                .filter(tag => tag.length > 0);
-            } else if (!Array.isArray(metadata.tags)) {
-              // If tags is not an array, remove it
-              delete metadata.tags;
-            }
-          }
-          
-          LOG.debug(`Extracted metadata: ${JSON.stringify(metadata)}`);
-          
-        } catch (error) {
-          LOG.error('Error parsing frontmatter:', error);
-          // Continue with default metadata if parsing fails
+        let htmlEtag = computeEtag(fileContent);
+        if (revision) {
+          htmlEtag = htmlEtag.replace(/"$/, `-${revision.shortSha}"`);
         }
+        if (rewriteAssets) {
+          htmlEtag = htmlEtag.replace(/"$/, '-assets"');
+        }
+        
+        return sendJson(req, res, 200, {
+          format: 'html',
+          html: rewriteAssets ? AssetService.rewriteHtmlAssetUrls(html, safePath) : html,
+          metadata,
+          headings,
+          path: contentPath,
+          name: filename,
+          ...(revision && { revision })
+        }, { etag: htmlEtag, lastModified });
+      }
+      
+      // Split off the front-matter (YAML, TOML or JSON); an invalid block leaves the defaults
+      const { metadata: frontmatter, content, error } = MetadataService.parseFrontmatter(fileContent);
+      if (error) {
+        LOG.warn(`Invalid front-matter in ${safePath} (line ${error.line}): ${error.message}`);
       }
+      const metadata = MetadataService.normalizeMetadata(frontmatter, safePath);
+      const contentWithoutFrontmatter = content.trim();
+      LOG.debug(`Extracted metadata: ${JSON.stringify(metadata)}`);
       
       // Return structured response expected by frontend
-      return this.sendResponse(res, 200, {
+      const response = {
+        format: 'markdown',
         markdown: contentWithoutFrontmatter, // Content without frontmatter (Markdown format)
         metadata: metadata,
-        headings: [], // Headers will be extracted client-side
+        headings: MarkdownService.extractHeadings(contentWithoutFrontmatter),
         path: contentPath,
-        name: filename
-      });
+        name: filename,
+        ...(revision && { revision })
+      };
+      
+      // The ETag identifies the file content (and revision); the rendered variant gets its own tag
+      let etag = computeEtag(fileContent);
+      if (revision) {
+        etag = etag.replace(/"$/, `-${revision.shortSha}"`);
+      }
+      
+      if (rewriteAssets) {
+        response.markdown = AssetService.rewriteMarkdownAssetUrls(contentWithoutFrontmatter, safePath);
+        etag = etag.replace(/"$/, '-assets"');
+      }
+      
+      // Optionally render the Markdown on the server (?render=html)
+      if (queryParams.render === 'html') {
+        response.html = MarkdownService.renderMarkdown(response.markdown);
+        etag = etag.replace(/"$/, '-html"');
+      }
+      
+      return sendJson(req, res, 200, response, { etag, lastModified });
       
     } catch (error) {
       if (error.code === 'ENOENT') {
-        return this.sendResponse(res, 404, { 
-          error: 'Not Found',
-          message: 'The requested content was not found',
-          path: contentPath
-        });
+        return this.sendNotFound(res, contentPath);
       }
       this.handleError(res, error, 'Error handling content request');
     }
   }
 
   /**
-   * List contents of a directory
+   * Send the 404 shared by missing documents and documents the caller may not see
    * @private
    */
-  async listDirectoryContents() {
-    // This method has been moved to StructureController
-    throw new Error('listDirectoryContents has been moved to StructureController');
-  }
-  
-  /**
-   * Handle content structure requests (directories)
-   * @private
-   */
-  async handleContentStructure(res, contentPath, queryParams) {
-    // This method is now handled by StructureController
-    return this.sendResponse(res, 404, { 
+  sendNotFound(res, contentPath) {
+    return this.sendResponse(res, 404, {
       error: 'Not Found',
-      message: 'Use /api/structure/ for directory listings',
+      message: 'The requested content was not found',
       path: contentPath
     });
   }
@@ -227,6 +234,11 @@ class ContentController {
    * @private
    */
   handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+    
     LOG.error(`${context} error:`, error);
     this.sendResponse(res, 500, { 
       error: 'Internal Server Error',
@@ -0,0 +1,353 @@
+import * as WriteService from '../services/write.service.js';
+import * as AccessService from '../services/access.service.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import { authorizeEditor } from '../middleware/auth.middleware.js';
+import { checkPreconditions, readBody, readJsonBody, HttpError } from '../utils/http.utils.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('ContentWriteController');
+
+// Content types accepted as a raw document body (written as-is, front-matter included)
+const RAW_CONTENT_TYPES = ['text/markdown', 'text/html', 'text/plain'];
+
+/**
+ * Controller creating, updating, moving and deleting documents
+ *
+ * Only authenticated members of config.write.editorGroups may write, and only where the access rules
+ * let them read. Changes to existing documents must carry the document's ETag in If-Match
+ * (config.write.requireIfMatch), so that concurrent edits are not lost.
+ */
+class ContentWriteController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    if (!config.write.enabled) return;
+
+    router.put('/api/content/:path*', (req, res) => this.putDocument(req, res));
+    router.post('/api/content/:path*', (req, res) => this.createDocument(req, res));
+    router.patch('/api/content/:path*', (req, res) => this.patchDocument(req, res));
+    router.delete('/api/content/:path*', (req, res) => this.deleteDocument(req, res));
+    router.post('/api/move', (req, res) => this.moveDocument(req, res));
+  }
+
+  /**
+   * Create or replace a document
+   * Body: JSON `{content, metadata?}`, or the raw file as text/markdown, text/html or text/plain.
+   * `If-None-Match: *` only creates. Answers 201 for a new document and 200 for a replaced one.
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async putDocument(req, res) {
+    try {
+      const documentPath = this.authorize(req, res, req.params.path);
+      if (documentPath === null) return;
+
+      const raw = await this.readDocumentBody(req, documentPath);
+
+      const result = await WriteService.queueWrite(async () => {
+        const current = await WriteService.readDocumentSource(documentPath);
+        const failed = checkPreconditions(req, current.etag, { required: config.write.requireIfMatch });
+        if (failed) return { failed };
+
+        const { etag } = await WriteService.saveFile(documentPath, raw);
+        return { etag, created: current.etag === null };
+      });
+
+      if (result.failed) return this.sendFailure(res, result.failed);
+      return this.sendSaved(res, documentPath, result.etag, result.created);
+    } catch (error) {
+      this.handleError(res, error, 'Error saving document');
+    }
+  }
+
+  /**
+   * Create a document that must not exist yet (409 otherwise)
+   * Body: as for PUT.
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async createDocument(req, res) {
+    try {
+      const documentPath = this.authorize(req, res, req.params.path);
+      if (documentPath === null) return;
+
+      const raw = await this.readDocumentBody(req, documentPath);
+
+      const { etag } = await WriteService.queueWrite(() =>
+        WriteService.saveFile(documentPath, raw, { createOnly: true }));
+      return this.sendSaved(res, documentPath, etag, true);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return this.sendResponse(res, 409, {
+          error: 'Conflict',
+          details: 'A document already exists at this path; use PUT with If-Match to replace it',
+          path: req.params.path
+        });
+      }
+      this.handleError(res, error, 'Error creating document');
+    }
+  }
+
+  /**
+   * Update front-matter fields of a document, leaving its body untouched
+   * Body: JSON `{metadata: {field: value}}`; a null value removes the field.
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async patchDocument(req, res) {
+    try {
+      const documentPath = this.authorize(req, res, req.params.path);
+      if (documentPath === null) return;
+
+      const body = await readJsonBody(req, config.write.maxBodySize);
+      if (!body.metadata || typeof body.metadata !== 'object' || Array.isArray(body.metadata)) {
+        throw new HttpError(400, 'Invalid body', 'Expected {"metadata": {...}}');
+      }
+
+      const result = await WriteService.queueWrite(async () => {
+        const current = await WriteService.readDocumentSource(documentPath);
+        if (current.etag === null) return { notFound: true };
+
+        const failed = checkPreconditions(req, current.etag, { required: config.write.requireIfMatch });
+        if (failed) return { failed };
+
+        let updated;
+        try {
+          updated = WriteService.updateFrontmatter(documentPath, current.raw, body.metadata);
+        } catch (error) {
+          throw new HttpError(422, 'Unparsable front-matter', error.message);
+        }
+
+        const { etag } = await WriteService.saveFile(documentPath, updated.raw);
+        return { etag, metadata: updated.metadata };
+      });
+
+      if (result.notFound) return this.sendNotFound(res, req.params.path);
+      if (result.failed) return this.sendFailure(res, result.failed);
+
+      res.setHeader('ETag', result.etag);
+      return this.sendResponse(res, 200, { path: documentPath, metadata: result.metadata, etag: result.etag });
+    } catch (error) {
+      this.handleError(res, error, 'Error updating front-matter');
+    }
+  }
+
+  /**
+   * Delete a document
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async deleteDocument(req, res) {
+    try {
+      const documentPath = this.authorize(req, res, req.params.path);
+      if (documentPath === null) return;
+
+      const result = await WriteService.queueWrite(async () => {
+        const current = await WriteService.readDocumentSource(documentPath);
+        if (current.etag === null) return { notFound: true };
+
+        const failed = checkPreconditions(req, current.etag, { required: config.write.requireIfMatch });
+        if (failed) return { failed };
+
+        await WriteService.deleteDocument(documentPath);
+        return {};
+      });
+
+      if (result.notFound) return this.sendNotFound(res, req.params.path);
+      if (result.failed) return this.sendFailure(res, result.failed);
+
+      res.statusCode = 204;
+      res.end();
+    } catch (error) {
+      this.handleError(res, error, 'Error deleting document');
+    }
+  }
+
+  /**
+   * Move or rename a document
+   * Body: JSON `{from, to}`; If-Match applies to the source. The target must not exist (409).
+   * @param {http.IncomingMessage} req - HTTP request object
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async moveDocument(req, res) {
+    try {
+      if (!authorizeEditor(req, res)) return;
+
+      const body = await readJsonBody(req, config.write.maxBodySize);
+      const fromPath = this.checkPath(req, res, body.from);
+      if (fromPath === null) return;
+      const toPath = this.checkPath(req, res, body.to);
+      if (toPath === null) return;
+
+      const result = await WriteService.queueWrite(async () => {
+        const source = await WriteService.readDocumentSource(fromPath);
+        if (source.etag === null) return { notFound: true };
+
+        const failed = checkPreconditions(req, source.etag, { required: config.write.requireIfMatch });
+        if (failed) return { failed };
+
+        const target = await WriteService.readDocumentSource(toPath);
+        if (target.etag !== null) return { conflict: true };
+
+        await WriteService.moveDocument(fromPath, toPath);
+        return { etag: source.etag };
+      });
+
+      if (result.notFound) return this.sendNotFound(res, body.from);
+      if (result.failed) return this.sendFailure(res, result.failed);
+      if (result.conflict) {
+        return this.sendResponse(res, 409, {
+          error: 'Conflict',
+          details: 'A document already exists at the target path',
+          path: toPath
+        });
+      }
+
+      res.setHeader('Location', `/api/content/${encodePath(toPath)}`);
+      res.setHeader('ETag', result.etag);
+      return this.sendResponse(res, 200, { from: fromPath, to: toPath, etag: result.etag });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return this.sendResponse(res, 409, {
+          error: 'Conflict',
+          details: 'A file already exists at the target path'
+        });
+      }
+      this.handleError(res, error, 'Error moving document');
+    }
+  }
+
+  /**
+   * Check that the caller may write a document
+   * @private
+   * @returns {string|null} Normalized document path, or null if a response has been sent
+   */
+  authorize(req, res, requestedPath) {
+    if (!authorizeEditor(req, res)) return null;
+    return this.checkPath(req, res, requestedPath);
+  }
+
+  /**
+   * Validate a document path of a write request
+   * Paths the caller may not read are reported as missing; unpublished documents are editable.
+   * @private
+   * @returns {string|null} Normalized document path, or null if a response has been sent
+   */
+  checkPath(req, res, requestedPath) {
+    const documentPath = normalizeContentPath(typeof requestedPath === 'string' ? requestedPath : '');
+
+    const invalid = WriteService.validateDocumentPath(documentPath);
+    if (invalid) {
+      this.sendResponse(res, 400, { error: 'Invalid document path', details: invalid, path: requestedPath });
+      return null;
+    }
+
+    if (!AccessService.canAccessPath({ ...req.user, preview: true }, documentPath)) {
+      this.sendNotFound(res, requestedPath);
+      return null;
+    }
+
+    return documentPath;
+  }
+
+  /**
+   * Read the raw content of a document from a PUT or POST body
+   * @private
+   * @returns {Promise<string>} Raw file content
+   * @throws {HttpError} For unsupported content types and malformed bodies
+   */
+  async readDocumentBody(req, documentPath) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    if (RAW_CONTENT_TYPES.includes(contentType)) {
+      return readBody(req, config.write.maxBodySize);
+    }
+    if (contentType !== 'application/json') {
+      throw new HttpError(415, 'Unsupported Media Type', `Send application/json or one of ${RAW_CONTENT_TYPES.join(', ')}`);
+    }
+
+    const body = await readJsonBody(req, config.write.maxBodySize);
+    if (typeof body.content !== 'string') {
+      throw new HttpError(400, 'Invalid body', 'Expected {"content": "...", "metadata": {...}}');
+    }
+    if (body.metadata !== undefined && (!body.metadata || typeof body.metadata !== 'object' || Array.isArray(body.metadata))) {
+      throw new HttpError(400, 'Invalid body', 'metadata must be an object');
+    }
+
+    return WriteService.serializeDocument(documentPath, body.metadata, body.content);
+  }
+
+  /**
+   * Answer a successful create or replace
+   * @private
+   */
+  sendSaved(res, documentPath, etag, created) {
+    res.setHeader('ETag', etag);
+    if (created) {
+      res.setHeader('Location', `/api/content/${encodePath(documentPath)}`);
+    }
+    this.sendResponse(res, created ? 201 : 200, { path: documentPath, etag, created });
+  }
+
+  /**
+   * Answer a failed precondition (412 or 428)
+   * @private
+   */
+  sendFailure(res, failed) {
+    this.sendResponse(res, failed.statusCode, { error: failed.error, details: failed.details });
+  }
+
+  /**
+   * Send a 404 response for a missing or hidden document
+   * @private
+   */
+  sendNotFound(res, requestedPath) {
+    this.sendResponse(res, 404, {
+      error: 'Not Found',
+      message: 'The requested content was not found',
+      path: requestedPath
+    });
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError || error instanceof HttpError) {
+      LOG.warn(`${context}: ${error.message}`);
+      return this.sendResponse(res, error.statusCode, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+/**
+ * Encode a relative path for use in a URL, segment by segment
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {string} Encoded path
+ */
+function encodePath(relativePath) {
+  return relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+export default new ContentWriteController();
@@ -0,0 +1,110 @@
+import * as LinkService from '../services/link.service.js';
+import * as FrontmatterService from '../services/frontmatter.service.js';
+import * as PublicationService from '../services/publication.service.js';
+import { createLogger } from '../logger.js';
+import { authorizeEditor } from '../middleware/auth.middleware.js';
+import { sendJson } from '../utils/http.utils.js';
+
+const LOG = createLogger('DiagnosticsController');
+
+/**
+ * Controller reporting on the content tree: problems and the publication schedule
+ */
+class DiagnosticsController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/diagnostics/links', (req, res) => this.checkLinks(req, res));
+    router.get('/api/diagnostics/frontmatter', (req, res) => this.checkFrontmatter(req, res));
+    router.get('/api/diagnostics/schedule', (req, res) => this.getSchedule(req, res));
+  }
+
+  /**
+   * Report broken links, missing anchors and orphan pages
+   * Query parameters: orphans (default true; 'false' leaves orphan pages out of the report)
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async checkLinks(req, res) {
+    try {
+      const includeOrphans = req.query?.orphans !== 'false';
+      LOG.debug(`Link check requested (orphans: ${includeOrphans})`);
+
+      const result = await LinkService.checkLinks({ principal: req.user, includeOrphans });
+
+      if (result.error) {
+        return this.sendResponse(res, 500, result);
+      }
+
+      return sendJson(req, res, 200, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error checking links');
+    }
+  }
+
+  /**
+   * Report documents and .metadata files whose metadata cannot be parsed or breaks the schemas
+   * of config.schemas, with the line of each problem
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async checkFrontmatter(req, res) {
+    try {
+      LOG.debug('Front-matter check requested');
+
+      const result = await FrontmatterService.checkFrontmatter({ principal: req.user });
+
+      if (result.error) {
+        return this.sendResponse(res, 500, result);
+      }
+
+      return sendJson(req, res, 200, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error checking front-matter');
+    }
+  }
+
+  /**
+   * Report scheduled publications, upcoming expiries and drafts
+   * Unpublished documents are only listed to editors (401 for anonymous callers, 403 otherwise).
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async getSchedule(req, res) {
+    try {
+      if (!authorizeEditor(req, res, 'see the publication schedule')) return;
+
+      LOG.debug('Publication schedule requested');
+      return sendJson(req, res, 200, PublicationService.listSchedule({ principal: req.user }));
+    } catch (error) {
+      this.handleError(res, error, 'Error listing the publication schedule');
+    }
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new DiagnosticsController();
@@ -0,0 +1,80 @@
+import * as WatcherService from '../services/watcher.service.js';
+import * as AccessService from '../services/access.service.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+
+const LOG = createLogger('EventsController');
+
+/**
+ * Controller streaming content change events to clients (Server-Sent Events)
+ */
+class EventsController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/events', (req, res) => this.streamEvents(req, res));
+  }
+
+  /**
+   * Open a text/event-stream and push { type, path } events until the client disconnects
+   * Events are sent once the content index reflects the change, so that the access rules of the
+   * changed document apply; changes to paths the caller may not see are not reported.
+   * Without a running watcher (config.watcher.enabled) there are no events: 503, so that clients
+   * do not keep an idle stream open.
+   * @param {http.IncomingMessage} req - HTTP request object
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  streamEvents(req, res) {
+    if (!WatcherService.isWatching()) {
+      return this.sendResponse(res, 503, {
+        error: 'Service Unavailable',
+        details: 'Content events are disabled: the content directory is not being watched'
+      });
+    }
+
+    LOG.debug('Client connected to content events');
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+
+    // Tell the browser how long to wait before reconnecting
+    res.write(`retry: 3000\n\n`);
+
+    const unsubscribe = WatcherService.onIndexedChange((event, document) => {
+      const visible = document
+        ? AccessService.canAccessDocument(req.user, document)
+        : AccessService.canAccessPath(req.user, event.path);
+      if (!visible) return;
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comments keep idle connections open through proxies
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, config.watcher.heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      LOG.debug('Client disconnected from content events');
+    });
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+}
+
+export default new EventsController();
@@ -1,7 +1,6 @@
-import path from 'path';
-import fs from 'fs/promises';
-import { CONTENT_DIR } from '../server.js';
+import * as ContentService from '../services/content.service.js';
 import { createLogger } from '../logger.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
 
 const LOG = createLogger('FirstDocumentController');
 
@@ -10,10 +9,13 @@ const LOG = createLogger('FirstDocumentController');
  */
 class FirstDocumentController {
   /**
-   * Get the first available document in the content directory
-   * @param {Request} req - HTTP request object
-   * @param {Response} res - HTTP response object
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
    */
+  registerRoutes(router) {
+    router.get('/api/first-document/:path*', (req, res) => this.getFirstDocument(req, res));
+  }
+
   /**
    * Send a JSON response
    * @private
@@ -29,6 +31,11 @@ class FirstDocumentController {
    * @private
    */
   handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+    
     LOG.error(`${context} error:`, error);
     this.sendResponse(res, 500, { 
       error: 'Internal Server Error',
@@ -37,85 +44,49 @@ class FirstDocumentController {
     });
   }
 
+  /**
+   * Get the first document of a directory in sidebar order
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
   async getFirstDocument(req, res) {
     try {
       LOG.debug('Getting first available document');
       
       // Get the directory from path parameter or use root
-      const directory = req.params.path || '';
-      const searchDir = directory ? path.join(CONTENT_DIR, directory) : CONTENT_DIR;
+      const directory = normalizeContentPath(req.params.path);
       
-      LOG.debug(`Searching first document in directory: ${searchDir}`);
+      const result = await ContentService.findFirstDocument(directory, req.user);
       
-      // Get the first markdown file in the specified directory
-      const firstDoc = await this.findFirstMarkdownFile(searchDir);
+      if (result.error) {
+        if (result.error === 'Directory not found') {
+          return this.sendResponse(res, 404, { error: 'Not Found', message: result.error, path: directory });
+        }
+        if (result.error === 'Path is not a directory') {
+          return this.sendResponse(res, 400, { error: 'Bad Request', message: result.error, path: directory });
+        }
+        return this.sendResponse(res, 500, { error: 'Internal Server Error', message: result.error });
+      }
       
-      if (!firstDoc) {
-        this.sendResponse(res, 404, { 
+      if (!result.path) {
+        return this.sendResponse(res, 404, { 
           error: 'Not Found',
-          message: `No markdown files found in directory: ${directory || 'root'}`
+          message: `No documents found in directory: ${directory || 'root'}`
         });
-        return;
       }
       
-      // Get the relative path from CONTENT_DIR
-      const relativePath = path.relative(CONTENT_DIR, firstDoc);
-      // Convert Windows paths to forward slashes
-      const normalizedPath = relativePath.replace(/\\/g, '/');
-      
-      LOG.info(`First document found in ${directory || 'root'}: ${normalizedPath}`);
+      LOG.info(`First document found in ${directory || 'root'}: ${result.path}`);
       
-      // Return the path to the first document
-      this.sendResponse(res, 200, {
-        path: normalizedPath,
-        fullPath: firstDoc
+      // Return the path to the first document, relative to the content directory
+      return this.sendResponse(res, 200, {
+        path: result.path,
+        title: result.title
       });
-      return;
       
     } catch (error) {
       this.handleError(res, error, 'Error getting first document');
-      return;
-    }
-  }
-  
-  /**
-   * Recursively find the first markdown file in a directory
-   * @private
-   * @param {string} dir - Directory to search in
-   * @returns {Promise<string|null>} Path to the first markdown file or null if none found
-   */
-  async findFirstMarkdownFile(dir) {
-    try {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-      
-      // Sort entries to ensure consistent order (directories first, then files)
-      entries.sort((a, b) => {
-        if (a.isDirectory() === b.isDirectory()) {
-          return a.name.localeCompare(b.name);
-        }
-        return a.isDirectory() ? 1 : -1;
-      });
-      
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        
-        if (entry.isDirectory()) {
-          // Skip hidden directories
-          if (entry.name.startsWith('.')) continue;
-          
-          const result = await this.findFirstMarkdownFile(fullPath);
-          if (result) return result;
-        } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.md') {
-          return fullPath;
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      LOG.error(`Error reading directory ${dir}:`, error);
-      throw error;
     }
   }
 }
 
-export default new FirstDocumentController();
\ No newline at end of file
+export default new FirstDocumentController();
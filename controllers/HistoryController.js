@@ -0,0 +1,192 @@
+import * as HistoryService from '../services/history.service.js';
+import * as AccessService from '../services/access.service.js';
+import * as ContentIndex from '../services/content-index.service.js';
+import { parseFrontmatter } from '../services/metadata.service.js';
+import { createLogger } from '../logger.js';
+import { sendJson } from '../utils/http.utils.js';
+import { isHiddenPath, normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('HistoryController');
+
+// Service errors mapped to HTTP status codes; anything else is a 500
+const ERROR_STATUS = {
+  'Invalid revision': 400,
+  'Missing revision': 400,
+  'Missing document path': 400,
+  'Not a document': 400,
+  'Not Found': 404,
+  'History not available': 404,
+  'Revision not found': 404,
+  'Document not found at revision': 404
+};
+
+/**
+ * Controller exposing the git history of documents
+ */
+class HistoryController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/history', (req, res) => this.getHistory(req, res));
+    router.get('/api/diff', (req, res) => this.getDiff(req, res));
+  }
+
+  /**
+   * List the commits touching a file, newest first
+   * Query parameters: path (required), limit, skip
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async getHistory(req, res) {
+    try {
+      const contentPath = normalizeContentPath(req.query?.path);
+      LOG.debug(`Getting history of: ${contentPath}`);
+
+      const invalid = this.checkPath(req, contentPath);
+      if (invalid) return this.sendResult(req, res, { ...invalid, commits: [] });
+
+      const result = await HistoryService.getHistory(contentPath, {
+        limit: req.query?.limit,
+        skip: req.query?.skip
+      });
+      return this.sendResult(req, res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error getting history');
+    }
+  }
+
+  /**
+   * Diff a file between two revisions
+   * Query parameters: path (required), from (required), to (the current file when omitted)
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async getDiff(req, res) {
+    try {
+      const contentPath = normalizeContentPath(req.query?.path);
+      const { from, to } = req.query || {};
+      LOG.debug(`Diffing ${contentPath} from ${from} to ${to || 'current'}`);
+
+      const invalid = this.checkPath(req, contentPath);
+      if (invalid) return this.sendResult(req, res, invalid);
+
+      if (!from) {
+        return this.sendResult(req, res, {
+          error: 'Missing revision',
+          details: 'The from parameter is required'
+        });
+      }
+
+      const hidden = await this.checkRevisions(req, contentPath, [from, to]);
+      if (hidden) return this.sendResult(req, res, hidden);
+
+      const result = await HistoryService.diffRevisions(contentPath, from, to);
+      return this.sendResult(req, res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error computing diff');
+    }
+  }
+
+  /**
+   * Check that the caller may see the history of a path
+   * Only single files have a history here: directories would expose changes to files below them
+   * that the caller may not see. Hidden files and paths the caller may not see are reported as missing;
+   * deleted and moved documents are only shown to editors (see AccessService.canAccessHistory).
+   * @private
+   * @returns {Object|null} Service-style error, or null if the path may be read
+   */
+  checkPath(req, contentPath) {
+    if (!contentPath) {
+      return {
+        error: 'Missing document path',
+        details: 'The path parameter is required'
+      };
+    }
+
+    if (isHiddenPath(contentPath) || !AccessService.canAccessHistory(req.user, contentPath)) {
+      return {
+        error: 'Not Found',
+        details: `No history for '${contentPath}'`
+      };
+    }
+
+    if (ContentIndex.getDirectory(contentPath)) {
+      return {
+        error: 'Not a document',
+        details: `'${contentPath}' is a directory`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the caller may see a file at the revisions of a diff
+   * The front-matter of each revision applies (see AccessService.canAccessRevision); revisions in
+   * which the file does not exist add nothing to the diff. Revision errors are left to the diff.
+   * @private
+   * @returns {Promise<Object|null>} Service-style error, or null if every revision may be read
+   */
+  async checkRevisions(req, contentPath, revisions) {
+    const html = contentPath.toLowerCase().endsWith('.html');
+
+    for (const revision of revisions.filter(Boolean)) {
+      const { content, error } = await HistoryService.readFileAtRevision(contentPath, revision);
+      if (error) continue;
+
+      const { metadata } = parseFrontmatter(content, { html });
+      if (!AccessService.canAccessRevision(req.user, contentPath, metadata)) {
+        LOG.debug(`Diff of ${contentPath} refused at ${revision} for ${req.user?.id || 'anonymous'}`);
+        return {
+          error: 'Not Found',
+          details: `No history for '${contentPath}'`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a service result, mapping service errors to status codes
+   * @private
+   */
+  sendResult(req, res, result) {
+    if (result.error) {
+      return this.sendResponse(res, ERROR_STATUS[result.error] || 500, result);
+    }
+    return sendJson(req, res, 200, result);
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new HistoryController();
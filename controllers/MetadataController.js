@@ -0,0 +1,227 @@
+import * as WriteService from '../services/write.service.js';
+import * as AccessService from '../services/access.service.js';
+import * as ContentIndex from '../services/content-index.service.js';
+import { listDirectory } from '../services/structure.service.js';
+import { validateFields } from '../services/schema.service.js';
+import { parseMetadataFile } from '../services/metadata.service.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import { authorizeEditor } from '../middleware/auth.middleware.js';
+import { checkPreconditions, readJsonBody, sendJson, HttpError } from '../utils/http.utils.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('MetadataController');
+
+/**
+ * Controller reading and writing directory metadata (.metadata files) and the sidebar order
+ *
+ * A directory without a .metadata file has empty metadata. Writes follow the rules of the content
+ * write API: editors only, If-Match on the ETag returned by GET (config.write.requireIfMatch).
+ */
+class MetadataController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/metadata/:path*', (req, res) => this.getMetadata(req, res));
+
+    if (!config.write.enabled) return;
+
+    router.put('/api/metadata/:path*', (req, res) => this.putMetadata(req, res));
+    router.put('/api/order/:path*', (req, res) => this.putOrder(req, res));
+  }
+
+  /**
+   * Get the metadata of a directory
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async getMetadata(req, res) {
+    try {
+      const dirPath = this.checkDirectory(req, res, req.params.path);
+      if (dirPath === null) return;
+
+      const { raw, etag } = await WriteService.readMetadataSource(dirPath);
+
+      let metadata;
+      try {
+        metadata = raw === null ? {} : parseMetadataFile(raw);
+      } catch (error) {
+        res.setHeader('ETag', etag);
+        return this.sendResponse(res, 422, { error: 'Unparsable metadata', details: error.message, path: dirPath, etag });
+      }
+
+      return sendJson(req, res, 200, {
+        path: dirPath,
+        metadata,
+        exists: raw !== null,
+        errors: validateFields(metadata, config.schemas.directory),
+        etag
+      }, { etag });
+    } catch (error) {
+      this.handleError(res, error, 'Error reading metadata');
+    }
+  }
+
+  /**
+   * Replace the metadata of a directory
+   * Body: JSON `{metadata: {field: value}}`, checked against config.schemas.directory (422 otherwise).
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async putMetadata(req, res) {
+    try {
+      if (!authorizeEditor(req, res)) return;
+      const dirPath = this.checkDirectory(req, res, req.params.path);
+      if (dirPath === null) return;
+
+      const body = await readJsonBody(req, config.write.maxBodySize);
+      const errors = validateFields(body.metadata, config.schemas.directory);
+      if (errors.length > 0) {
+        return this.sendResponse(res, 422, { error: 'Invalid metadata', details: errors, path: dirPath });
+      }
+
+      const result = await WriteService.queueWrite(async () => {
+        const current = await WriteService.readMetadataSource(dirPath);
+        const failed = checkPreconditions(req, current.etag, { required: config.write.requireIfMatch });
+        if (failed) return { failed };
+
+        const { etag } = await WriteService.saveFile(current.metadataPath, WriteService.serializeMetadata(body.metadata));
+        return { etag };
+      });
+
+      if (result.failed) {
+        return this.sendResponse(res, result.failed.statusCode, { error: result.failed.error, details: result.failed.details });
+      }
+
+      res.setHeader('ETag', result.etag);
+      return this.sendResponse(res, 200, { path: dirPath, metadata: body.metadata, etag: result.etag });
+    } catch (error) {
+      this.handleError(res, error, 'Error saving metadata');
+    }
+  }
+
+  /**
+   * Reorder the entries of a directory
+   * Body: JSON `{order: [name, ...]}`. The listed entries get `order` 1..n, in their .metadata file
+   * (directories) or front-matter (documents). Entries left out of the list are not touched, and
+   * listed entries whose order does not change are not rewritten.
+   * @param {http.IncomingMessage} req - HTTP request object (params.path)
+   * @param {http.ServerResponse} res - HTTP response object
+   */
+  async putOrder(req, res) {
+    try {
+      if (!authorizeEditor(req, res)) return;
+      const dirPath = this.checkDirectory(req, res, req.params.path);
+      if (dirPath === null) return;
+
+      const body = await readJsonBody(req, config.write.maxBodySize);
+      const names = body.order;
+      if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+        throw new HttpError(400, 'Invalid body', 'Expected {"order": ["name", ...]}');
+      }
+      if (new Set(names).size !== names.length) {
+        throw new HttpError(400, 'Invalid body', 'The order lists an entry more than once');
+      }
+
+      const result = await WriteService.queueWrite(async () => {
+        // Unpublished documents the caller can preview may be listed too
+        const items = listDirectory(dirPath, 1, { ...req.user, preview: true });
+        const unknown = names.filter(name => !items.some(item => item.name === name));
+        if (unknown.length > 0) return { unknown };
+
+        const ordered = names.map(name => items.find(item => item.name === name));
+
+        // Prepare every change before writing, so that an unparsable file leaves the directory untouched
+        const changes = [];
+        for (const [index, item] of ordered.entries()) {
+          const entry = item.isDirectory ? ContentIndex.getDirectory(item.path) : ContentIndex.getDocument(item.path);
+          const { metadataPath, raw } = item.isDirectory
+            ? await WriteService.readMetadataSource(item.path)
+            : { metadataPath: item.path, ...await WriteService.readDocumentSource(item.path) };
+
+          let updated;
+          try {
+            updated = WriteService.applyOrder(entry, raw, index + 1);
+          } catch (error) {
+            throw new HttpError(422, 'Unparsable metadata', `${metadataPath}: ${error.message}`);
+          }
+          if (updated !== null) changes.push({ filePath: metadataPath, raw: updated });
+        }
+
+        for (const change of changes) {
+          await WriteService.saveFile(change.filePath, change.raw);
+        }
+
+        return {
+          order: ordered.map((item, index) => ({ name: item.name, path: item.path, order: index + 1 })),
+          updated: changes.map(change => change.filePath)
+        };
+      });
+
+      if (result.unknown) {
+        return this.sendResponse(res, 400, {
+          error: 'Invalid order',
+          details: `Not entries of this directory: ${result.unknown.join(', ')}`,
+          path: dirPath
+        });
+      }
+
+      LOG.info(`Reordered ${dirPath || 'root'}: ${result.updated.length} files updated`);
+      return this.sendResponse(res, 200, { path: dirPath, ...result });
+    } catch (error) {
+      this.handleError(res, error, 'Error reordering directory');
+    }
+  }
+
+  /**
+   * Check that a directory exists and that the caller may see it
+   * @private
+   * @returns {string|null} Normalized directory path, or null if a response has been sent
+   */
+  checkDirectory(req, res, requestedPath) {
+    const dirPath = normalizeContentPath(requestedPath || '');
+
+    if (!ContentIndex.getDirectory(dirPath) || !AccessService.canAccessDirectory(req.user, dirPath)) {
+      this.sendResponse(res, 404, {
+        error: 'Not Found',
+        message: 'The requested directory was not found',
+        path: requestedPath
+      });
+      return null;
+    }
+
+    return dirPath;
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError || error instanceof HttpError) {
+      LOG.warn(`${context}: ${error.message}`);
+      return this.sendResponse(res, error.statusCode, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new MetadataController();
@@ -0,0 +1,73 @@
+import * as NavigationService from '../services/navigation.service.js';
+import { createLogger } from '../logger.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('NavigationController');
+
+/**
+ * Controller for previous/next navigation and breadcrumbs
+ */
+class NavigationController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/navigation', (req, res) => this.getNavigation(req, res));
+  }
+
+  /**
+   * Get the neighbours and breadcrumbs of a document
+   * @param {Request} req - HTTP request object (query.path)
+   * @param {Response} res - HTTP response object
+   */
+  async getNavigation(req, res) {
+    try {
+      const documentPath = normalizeContentPath(req.query?.path);
+      LOG.debug(`Getting navigation for path: ${documentPath}`);
+
+      const result = await NavigationService.getNavigation(documentPath, req.user);
+
+      if (result.error) {
+        let statusCode = 500;
+        if (result.error === 'Document not found') statusCode = 404;
+        else if (result.error === 'Missing document path') statusCode = 400;
+        return this.sendResponse(res, statusCode, result);
+      }
+
+      return this.sendResponse(res, 200, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error getting navigation');
+    }
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new NavigationController();
@@ -1,5 +1,7 @@
 import * as RelatedService from '../services/related.service.js';
 import { createLogger } from '../logger.js';
+import { sendJson, computeEtag } from '../utils/http.utils.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
 
 const LOG = createLogger('RelatedController');
 
@@ -7,6 +9,14 @@ const LOG = createLogger('RelatedController');
  * Controller for handling related documents functionality
  */
 class RelatedController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/related', (req, res) => this.getRelatedDocuments(req, res));
+  }
+
   /**
    * Get related documents for a given document path
    * @param {Request} req - HTTP request object
@@ -15,14 +25,14 @@ class RelatedController {
   async getRelatedDocuments(req, res) {
     try {
       // Get document path from query
-      const documentPath = req.query?.path || '';
+      const documentPath = normalizeContentPath(req.query?.path);
       const limit = parseInt(req.query?.limit || '5', 10);
       const skipCache = req.query?.skipCache === 'true';
       
       LOG.debug(`Getting related documents for path: ${documentPath}, limit: ${limit}, skipCache: ${skipCache}`);
       
       // Use the RelatedService to find related documents
-      const result = await RelatedService.findRelatedDocumentsForPath(documentPath, limit, skipCache);
+      const result = await RelatedService.findRelatedDocumentsForPath(documentPath, limit, skipCache, req.user);
       
       // Set content type
       res.setHeader('Content-Type', 'application/json');
@@ -48,11 +58,21 @@ class RelatedController {
       }
       
       // Return the related documents
-      return res.end(JSON.stringify({
+      // The ETag ignores `fromCache` so that cached and fresh answers validate alike
+      return sendJson(req, res, 200, {
         related: result.related,
         fromCache: result.fromCache
-      }));
+      }, {
+        etag: computeEtag(JSON.stringify(result.related))
+      });
     } catch (error) {
+      if (error instanceof PathError) {
+        LOG.warn(`Invalid related documents path: ${error.message} (${error.path})`);
+        res.statusCode = 400;
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify({ ...error.toJSON(), related: [] }));
+      }
+      
       LOG.error('Unexpected error in getRelatedDocuments', error);
       res.statusCode = 500;
       res.setHeader('Content-Type', 'application/json');
@@ -0,0 +1,96 @@
+import * as SearchService from '../services/search.service.js';
+import { createLogger } from '../logger.js';
+import { getQueryParam, streamJson, HttpError } from '../utils/http.utils.js';
+import { normalizeContentPath, PathError } from '../utils/path.utils.js';
+
+const LOG = createLogger('SearchController');
+
+/**
+ * Controller for handling full-text search requests
+ */
+class SearchController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    router.get('/api/search', (req, res) => this.search(req, res));
+  }
+
+  /**
+   * Search documents
+   * Query parameters: q (required), page, pageSize, dir, tag (comma-separated)
+   * @param {Request} req - HTTP request object
+   * @param {Response} res - HTTP response object
+   */
+  async search(req, res) {
+    try {
+      const query = (getQueryParam(req, 'q') || '').trim();
+      const page = getQueryParam(req, 'page');
+      const pageSize = getQueryParam(req, 'pageSize');
+      const dir = normalizeContentPath(getQueryParam(req, 'dir'));
+      const tags = (getQueryParam(req, 'tag') || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+
+      LOG.debug(`Search request: q='${query}', page=${page}, dir=${dir}, tags=[${tags.join(', ')}]`);
+
+      const result = await SearchService.searchDocuments({
+        query,
+        page,
+        pageSize,
+        dir,
+        tags,
+        principal: req.user
+      });
+
+      if (result.error) {
+        const statusCode = result.error === 'Missing query' ? 400 : 500;
+        return this.sendResponse(res, statusCode, {
+          error: result.error,
+          details: result.details,
+          results: []
+        });
+      }
+
+      return streamJson(req, res, 200, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error handling search request');
+    }
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    if (error instanceof PathError) {
+      LOG.warn(`${context}: ${error.message} (${error.path})`);
+      return this.sendResponse(res, 400, error.toJSON());
+    }
+    if (error instanceof HttpError) {
+      LOG.warn(`${context}: ${error.message}`);
+      return this.sendResponse(res, error.statusCode, error.toJSON());
+    }
+
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new SearchController();
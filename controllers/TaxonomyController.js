@@ -0,0 +1,95 @@
+import * as TaxonomyService from '../services/taxonomy.service.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+
+const LOG = createLogger('TaxonomyController');
+
+/**
+ * Controller for browsing documents by tag, category or other configured taxonomy
+ */
+class TaxonomyController {
+  /**
+   * Register the routes served by this controller
+   * @param {Router} router - Application router
+   */
+  registerRoutes(router) {
+    // /api/{taxonomy} lists the terms, /api/{taxonomy}/{term} the documents carrying a term
+    for (const taxonomy of Object.keys(config.taxonomies)) {
+      router.get(`/api/${taxonomy}/:term*`, (req, res) => {
+        req.params.taxonomy = taxonomy;
+        return req.params.term ? this.listDocuments(req, res) : this.listTerms(req, res);
+      });
+    }
+  }
+
+  /**
+   * List the terms of a taxonomy with their document counts
+   * @param {Request} req - HTTP request object (params.taxonomy)
+   * @param {Response} res - HTTP response object
+   */
+  async listTerms(req, res) {
+    try {
+      const taxonomy = req.params.taxonomy;
+      LOG.debug(`Listing terms of taxonomy: ${taxonomy}`);
+
+      const result = await TaxonomyService.listTerms(taxonomy, req.user);
+      return this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error listing taxonomy terms');
+    }
+  }
+
+  /**
+   * List the documents carrying a term
+   * @param {Request} req - HTTP request object (params.taxonomy, params.term)
+   * @param {Response} res - HTTP response object
+   */
+  async listDocuments(req, res) {
+    try {
+      const { taxonomy, term } = req.params;
+      LOG.debug(`Listing documents for ${taxonomy}: ${term}`);
+
+      const result = await TaxonomyService.listDocumentsForTerm(taxonomy, term, req.user);
+      return this.sendResult(res, result);
+    } catch (error) {
+      this.handleError(res, error, 'Error listing taxonomy documents');
+    }
+  }
+
+  /**
+   * Send a service result, mapping service errors to status codes
+   * @private
+   */
+  sendResult(res, result) {
+    if (result.error) {
+      const notFound = result.error === 'Term not found' || result.error === 'Unknown taxonomy';
+      return this.sendResponse(res, notFound ? 404 : 500, result);
+    }
+    return this.sendResponse(res, 200, result);
+  }
+
+  /**
+   * Send JSON response
+   * @private
+   */
+  sendResponse(res, statusCode, data) {
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = statusCode;
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Handle errors
+   * @private
+   */
+  handleError(res, error, context = '') {
+    LOG.error(`${context} error:`, error);
+    this.sendResponse(res, 500, {
+      error: 'Internal Server Error',
+      message: error.message,
+      ...(context && { context })
+    });
+  }
+}
+
+export default new TaxonomyController();
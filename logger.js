@@ -39,7 +39,7 @@ log4js.configure({
   categories: {
     default: { 
       appenders: ['console', 'file'], 
-      level: process.env.NODE_ENV === 'production' ? 'info' : 'debug' 
+      level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug')
     }
   }
 });
@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { config } from '../config/app.config.js';
+import { createLogger } from '../logger.js';
+import { isEditor } from '../services/access.service.js';
+
+const LOG = createLogger('AuthMiddleware');
+
+// Principal used for requests without credentials
+export const ANONYMOUS = Object.freeze({ id: null, groups: [], method: null });
+
+// JWT algorithms and the matching Node.js digests
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const PUBLIC_KEY_ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Credentials files, loaded on first use
+let apiKeys = null;
+let users = null;
+let jwtPublicKey = null;
+
+/**
+ * Error raised when a request carries invalid credentials
+ */
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Middleware identifying the caller and setting req.user
+ * Invalid credentials end the chain with a 401.
+ * `?preview=true` puts editors in preview mode (`req.user.preview`), in which unpublished documents
+ * are visible; other callers get a 401 (anonymous) or a 403.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+export async function authMiddleware(req, res, next) {
+  try {
+    req.user = authenticate(req);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      LOG.warn(`Authentication failed for ${req.path}: ${error.message}`);
+      sendAuthError(res, error);
+      return;
+    }
+    throw error;
+  }
+
+  if (req.query?.preview === 'true') {
+    if (!authorizeEditor(req, res, 'preview unpublished content')) return;
+    req.user = { ...req.user, preview: true };
+  }
+
+  await next();
+}
+
+/**
+ * Identify the caller of a request
+ * Supports API keys (X-API-Key header or `Authorization: ApiKey <key>`), bearer JWTs verified
+ * against the configured secret or public key, and HTTP Basic against the local users file.
+ * Requests without credentials are anonymous; requests with invalid credentials are rejected.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {{id: string|null, groups: Array<string>, method: string|null}} Principal
+ * @throws {AuthError} If the credentials are invalid
+ */
+export function authenticate(req) {
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return authenticateApiKey(apiKeyHeader);
+  }
+
+  const authorization = req.headers.authorization;
+  if (!authorization) {
+    return ANONYMOUS;
+  }
+
+  const [scheme, ...rest] = authorization.trim().split(/\s+/);
+  const credentials = rest.join(' ');
+
+  switch (scheme.toLowerCase()) {
+    case 'apikey':
+      return authenticateApiKey(credentials);
+    case 'bearer':
+      return authenticateJwt(credentials);
+    case 'basic':
+      return authenticateBasic(credentials);
+    default:
+      throw new AuthError(`Unsupported authorization scheme: ${scheme}`);
+  }
+}
+
+/**
+ * Send a 401 response for an authentication failure
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {AuthError} error - Authentication error
+ */
+export function sendAuthError(res, error) {
+  res.statusCode = error.statusCode || 401;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('WWW-Authenticate', `Basic realm="${config.auth.realm}", Bearer realm="${config.auth.realm}"`);
+  res.end(JSON.stringify({
+    error: 'Unauthorized',
+    details: error.message
+  }));
+}
+
+/**
+ * Check that the caller of a request is an editor (see isEditor)
+ * Anonymous callers get a 401, other callers outside the editor groups a 403.
+ * @param {http.IncomingMessage} req - HTTP request object, with req.user set
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} [action='edit content'] - What the caller attempts, for the error details
+ * @returns {boolean} True if the caller is an editor; otherwise a response has been sent
+ */
+export function authorizeEditor(req, res, action = 'edit content') {
+  if (!req.user?.id) {
+    sendAuthError(res, new AuthError(`Authentication is required to ${action}`));
+    return false;
+  }
+
+  if (!isEditor(req.user)) {
+    LOG.warn(`Refused to let ${req.user.id} ${action}: not an editor`);
+    res.statusCode = 403;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: 'Forbidden',
+      details: `Only members of an editor group may ${action}`
+    }));
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Authenticate with an API key
+ * Keys are declared in config.auth.apiKeysFile as [{ name, keyHash, groups }], keyHash being the
+ * hex SHA-256 of the key.
+ * @param {string} key - API key
+ * @returns {Object} Principal
+ */
+function authenticateApiKey(key) {
+  const keyHash = crypto.createHash('sha256').update(key).digest();
+
+  const entry = loadApiKeys().find(candidate =>
+    candidate.keyHash && safeEqual(Buffer.from(candidate.keyHash, 'hex'), keyHash)
+  );
+
+  if (!entry) {
+    throw new AuthError('Invalid API key');
+  }
+
+  return principal(entry.name, entry.groups, 'apiKey');
+}
+
+/**
+ * Authenticate with HTTP Basic credentials
+ * Users are declared in config.auth.usersFile as { username: { passwordHash, groups } }, passwordHash
+ * being `scrypt:<salt hex>:<hash hex>`.
+ * @param {string} credentials - Base64 user:password
+ * @returns {Object} Principal
+ */
+function authenticateBasic(credentials) {
+  const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    throw new AuthError('Malformed basic credentials');
+  }
+
+  const username = decoded.slice(0, separator);
+  const password = decoded.slice(separator + 1);
+  const user = Object.prototype.hasOwnProperty.call(loadUsers(), username) ? loadUsers()[username] : null;
+
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    throw new AuthError('Invalid username or password');
+  }
+
+  return principal(username, user.groups, 'basic');
+}
+
+/**
+ * Authenticate with a bearer JSON Web Token
+ * @param {string} token - Compact JWS
+ * @returns {Object} Principal
+ */
+function authenticateJwt(token) {
+  const jwtConfig = config.auth.jwt;
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed token');
+  }
+
+  const signedContent = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], 'base64url');
+
+  if (HMAC_ALGORITHMS[header.alg] && jwtConfig.secret) {
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], jwtConfig.secret).update(signedContent).digest();
+    if (!safeEqual(expected, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+  } else if (PUBLIC_KEY_ALGORITHMS[header.alg] && jwtConfig.publicKeyFile) {
+    const { digest, dsaEncoding } = PUBLIC_KEY_ALGORITHMS[header.alg];
+    const key = dsaEncoding ? { key: loadJwtPublicKey(), dsaEncoding } : loadJwtPublicKey();
+    if (!crypto.verify(digest, Buffer.from(signedContent), key, signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+  } else {
+    // Also rejects "alg": "none"
+    throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const leeway = jwtConfig.clockTolerance;
+  if (typeof payload.exp === 'number' && now > payload.exp + leeway) {
+    throw new AuthError('Token expired');
+  }
+  if (typeof payload.nbf === 'number' && now < payload.nbf - leeway) {
+    throw new AuthError('Token not yet valid');
+  }
+  if (jwtConfig.issuer && payload.iss !== jwtConfig.issuer) {
+    throw new AuthError('Invalid token issuer');
+  }
+  if (jwtConfig.audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(jwtConfig.audience)) {
+      throw new AuthError('Invalid token audience');
+    }
+  }
+
+  return principal(payload.sub, payload[jwtConfig.groupsClaim], 'jwt');
+}
+
+/**
+ * Verify a password against an scrypt hash
+ * @param {string} password - Clear-text password
+ * @param {string} passwordHash - `scrypt:<salt hex>:<hash hex>`
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, hash] = String(passwordHash || '').split(':');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return safeEqual(expected, actual);
+}
+
+/**
+ * Constant-time buffer comparison
+ * @param {Buffer} a - First buffer
+ * @param {Buffer} b - Second buffer
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build a principal
+ * @param {string} id - User or key name
+ * @param {*} groups - Groups (array or comma-separated string)
+ * @param {string} method - Authentication method
+ * @returns {{id: string, groups: Array<string>, method: string}} Principal
+ */
+function principal(id, groups, method) {
+  const groupList = typeof groups === 'string' ? groups.split(',') : (Array.isArray(groups) ? groups : []);
+
+  return {
+    id: String(id || 'unknown'),
+    groups: groupList.map(group => String(group).trim()).filter(group => group.length > 0),
+    method
+  };
+}
+
+/**
+ * Load the API keys file
+ * @returns {Array<{name: string, keyHash: string, groups: Array<string>}>}
+ */
+function loadApiKeys() {
+  if (apiKeys === null) {
+    apiKeys = loadJsonFile(config.auth.apiKeysFile, []);
+    LOG.info(`Loaded ${apiKeys.length} API keys`);
+  }
+  return apiKeys;
+}
+
+/**
+ * Load the Basic authentication users file
+ * @returns {Object<string, {passwordHash: string, groups: Array<string>}>}
+ */
+function loadUsers() {
+  if (users === null) {
+    users = loadJsonFile(config.auth.usersFile, {});
+    LOG.info(`Loaded ${Object.keys(users).length} users`);
+  }
+  return users;
+}
+
+/**
+ * Load the public key used to verify asymmetric JWTs
+ * @returns {crypto.KeyObject}
+ */
+function loadJwtPublicKey() {
+  if (jwtPublicKey === null) {
+    jwtPublicKey = crypto.createPublicKey(readFileSync(config.auth.jwt.publicKeyFile, 'utf8'));
+  }
+  return jwtPublicKey;
+}
+
+/**
+ * Read a JSON credentials file
+ * @param {string|undefined} filePath - File path, unset to disable the method
+ * @param {*} fallback - Value used when the file is not configured or unreadable
+ * @returns {*} Parsed content
+ */
+function loadJsonFile(filePath, fallback) {
+  if (!filePath) return fallback;
+
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    LOG.error(`Error reading credentials file ${filePath}:`, error);
+    return fallback;
+  }
+}
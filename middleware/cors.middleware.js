@@ -0,0 +1,193 @@
+import { config } from '../config/app.config.js';
+import { createLogger } from '../logger.js';
+import { appendVary } from '../utils/http.utils.js';
+
+const LOG = createLogger('CorsMiddleware');
+
+/**
+ * Middleware applying the CORS policy; preflight requests end the chain
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+export async function corsMiddleware(req, res, next) {
+  if (handleCors(req, res, req.path)) {
+    return;
+  }
+  await next();
+}
+
+/**
+ * Apply the CORS policy of config.cors to a request
+ * Allowed origins get the Access-Control-* headers; other origins get none, so browsers block the
+ * response. Preflight (OPTIONS) requests are answered here: 204 when the origin, method and headers
+ * are allowed for the route, 403 with the reason otherwise.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} pathname - Request path, used to pick per-route settings
+ * @returns {boolean} True if the request has been answered (preflight)
+ */
+export function handleCors(req, res, pathname) {
+  const origin = req.headers.origin;
+  const isPreflight = req.method === 'OPTIONS';
+  const policy = getRoutePolicy(pathname);
+
+  // The CORS headers depend on the Origin unless every origin is allowed
+  if (!config.cors.allowedOrigins.includes('*')) {
+    appendVary(res, 'Origin');
+  }
+
+  if (!origin) {
+    // Not a cross-origin request
+    if (isPreflight) {
+      res.statusCode = 204;
+      res.setHeader('Allow', policy.methods.join(', '));
+      res.end();
+      return true;
+    }
+    return false;
+  }
+
+  const allowedOrigin = resolveAllowedOrigin(origin);
+
+  if (!allowedOrigin) {
+    LOG.warn(`Origin not allowed: ${origin} (${req.method} ${pathname})`);
+    if (isPreflight) {
+      rejectPreflight(res, `Origin '${origin}' is not allowed`);
+      return true;
+    }
+    return false;
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+  if (allowedOrigin !== '*' && config.cors.credentials) {
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+
+  if (!isPreflight) {
+    res.setHeader('Access-Control-Expose-Headers', config.cors.exposedHeaders.join(', '));
+    return false;
+  }
+
+  const requestedMethod = (req.headers['access-control-request-method'] || '').toUpperCase();
+  if (!requestedMethod || !policy.methods.includes(requestedMethod)) {
+    rejectPreflight(res, `Method '${requestedMethod}' is not allowed on ${pathname}; allowed: ${policy.methods.join(', ')}`);
+    return true;
+  }
+
+  const allowedHeaders = policy.allowedHeaders.map(header => header.toLowerCase());
+  const rejectedHeaders = (req.headers['access-control-request-headers'] || '')
+    .split(',')
+    .map(header => header.trim().toLowerCase())
+    .filter(header => header.length > 0 && !allowedHeaders.includes(header));
+  if (rejectedHeaders.length > 0) {
+    rejectPreflight(res, `Header(s) not allowed on ${pathname}: ${rejectedHeaders.join(', ')}`);
+    return true;
+  }
+
+  appendVary(res, 'Access-Control-Request-Method, Access-Control-Request-Headers');
+  res.setHeader('Access-Control-Allow-Methods', policy.methods.join(', '));
+  res.setHeader('Access-Control-Allow-Headers', policy.allowedHeaders.join(', '));
+  res.setHeader('Access-Control-Max-Age', String(config.cors.maxAge));
+  res.statusCode = 204;
+  res.end();
+  return true;
+}
+
+/**
+ * Check an origin against config.cors.allowedOrigins
+ * Entries are exact origins ('https://docs.example.com'), wildcard subdomains ('https://*.example.com',
+ * or '*.example.com' for any scheme) or '*' for any origin. '*' is answered literally and never
+ * combined with credentials.
+ * @param {string} origin - Origin request header
+ * @returns {string|null} Value for Access-Control-Allow-Origin, or null if the origin is not allowed
+ */
+export function resolveAllowedOrigin(origin) {
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch (error) {
+    return null;
+  }
+
+  // Compare the serialized form, which lowercases the host and drops default ports
+  const normalizedOrigin = parsed.origin;
+
+  for (const entry of config.cors.allowedOrigins) {
+    if (entry === '*') return '*';
+    if (matchesOrigin(entry, parsed, normalizedOrigin)) return normalizedOrigin;
+  }
+
+  return null;
+}
+
+/**
+ * Match one allow-list entry
+ * @param {string} entry - Allow-list entry
+ * @param {URL} parsed - Parsed request origin
+ * @param {string} normalizedOrigin - Serialized request origin
+ * @returns {boolean} True if the entry allows the origin
+ */
+function matchesOrigin(entry, parsed, normalizedOrigin) {
+  if (!entry.includes('*')) {
+    try {
+      return new URL(entry).origin === normalizedOrigin;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const match = entry.toLowerCase().match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?\*\.([^/:]+)(?::(\d+))?$/);
+  if (!match) {
+    LOG.warn(`Ignoring invalid CORS origin pattern: ${entry}`);
+    return false;
+  }
+
+  const [, scheme, domain, port] = match;
+  if (scheme && parsed.protocol !== `${scheme}:`) return false;
+  // Without an explicit port only the scheme's default port matches
+  if (parsed.port !== (port || '')) return false;
+
+  // Subdomains only: '*.example.com' does not match 'example.com' or 'evilexample.com'
+  return parsed.hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Resolve the methods and headers allowed on a route
+ * config.cors.routes entries apply to their path and everything below it; the longest match wins.
+ * @param {string} pathname - Request path
+ * @returns {{methods: Array<string>, allowedHeaders: Array<string>}} Route policy
+ */
+function getRoutePolicy(pathname) {
+  const defaults = {
+    methods: config.cors.methods,
+    allowedHeaders: config.cors.allowedHeaders
+  };
+
+  const prefix = Object.keys(config.cors.routes)
+    .filter(route => pathname === route || pathname.startsWith(`${route}/`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!prefix) return defaults;
+
+  const route = config.cors.routes[prefix];
+  return {
+    methods: (route.methods || defaults.methods).map(method => method.toUpperCase()),
+    allowedHeaders: route.allowedHeaders || defaults.allowedHeaders
+  };
+}
+
+/**
+ * Answer a rejected preflight request
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} details - Reason for the rejection
+ */
+function rejectPreflight(res, details) {
+  LOG.warn(`CORS preflight rejected: ${details}`);
+  res.statusCode = 403;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    error: 'CORS preflight rejected',
+    details
+  }));
+}
@@ -0,0 +1,32 @@
+import { createLogger } from '../logger.js';
+
+const LOG = createLogger('ErrorMiddleware');
+
+/**
+ * Turn errors thrown further down the chain into JSON responses
+ * Errors carrying a `statusCode` keep it; anything else is a 500. Stack traces are only included
+ * outside production.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+export async function errorMiddleware(req, res, next) {
+  try {
+    await next();
+  } catch (error) {
+    LOG.error(`Error processing ${req.method} ${req.url}:`, error);
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.statusCode = error.statusCode || 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: res.statusCode === 500 ? 'Internal Server Error' : error.message,
+      details: error.message,
+      stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    }));
+  }
+}
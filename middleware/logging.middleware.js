@@ -0,0 +1,19 @@
+import { createLogger } from '../logger.js';
+
+const LOG = createLogger('Http');
+
+/**
+ * Log every request with its status code and duration once the response is finished
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Function} next - Next middleware
+ */
+export async function loggingMiddleware(req, res, next) {
+  const startTime = Date.now();
+
+  res.on('finish', () => {
+    LOG.info(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - startTime}ms`);
+  });
+
+  await next();
+}
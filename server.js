@@ -1,61 +1,48 @@
 import http from 'http';
-import url from 'url';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync } from 'fs';
-import { access } from 'fs/promises';
 import { config } from './config/app.config.js';
+import { CONTENT_DIR, args, validateContentDir } from './config/content-dir.js';
 import { createLogger } from './logger.js';
 
 const LOG = createLogger('Server');
 
 // Import controllers
 import ContentController from './controllers/ContentController.js';
+import ContentWriteController from './controllers/ContentWriteController.js';
 import StructureController from './controllers/StructureController.js';
 import FirstDocumentController from './controllers/FirstDocumentController.js';
 import RelatedController from './controllers/RelatedController.js';
+import BacklinksController from './controllers/BacklinksController.js';
+import SearchController from './controllers/SearchController.js';
+import EventsController from './controllers/EventsController.js';
+import TaxonomyController from './controllers/TaxonomyController.js';
+import NavigationController from './controllers/NavigationController.js';
+import AssetsController from './controllers/AssetsController.js';
+import DiagnosticsController from './controllers/DiagnosticsController.js';
+import HistoryController from './controllers/HistoryController.js';
+import MetadataController from './controllers/MetadataController.js';
+import * as WatcherService from './services/watcher.service.js';
+import * as ContentIndex from './services/content-index.service.js';
+import * as ContentChangeService from './services/content-change.service.js';
+import { Router } from './utils/router.js';
+import { errorMiddleware } from './middleware/error.middleware.js';
+import { loggingMiddleware } from './middleware/logging.middleware.js';
+import { corsMiddleware } from './middleware/cors.middleware.js';
+import { authMiddleware } from './middleware/auth.middleware.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Parse command line arguments
-const args = process.argv.slice(2).reduce((acc, arg) => {
-  const [key, value] = arg.split('=');
-  if (key.startsWith('--')) {
-    acc[key.slice(2)] = value || true;
-  }
-  return acc;
-}, {});
-
-// Get content directory from args or config
-const contentDir = args['content-dir'] || config.contentDir;
-
-// Handle Cygwin paths (starts with /cygdrive/)
-let processedContentDir = contentDir;
-if (contentDir.startsWith('/cygdrive/')) {
-  // Convert /cygdrive/c/... to c:/...
-  const pathParts = contentDir.split('/').filter(Boolean);
-  if (pathParts.length >= 3) {
-    const driveLetter = pathParts[1].charAt(0).toUpperCase();
-    const restOfPath = pathParts.slice(2).join('/');
-    processedContentDir = `${driveLetter}:/${restOfPath}`;
-  }
-}
-
-// Resolve the final content directory path
-export const CONTENT_DIR = path.resolve(processedContentDir);
+// The content directory is resolved from --content-dir or CONTENT_DIR in config/content-dir.js
+export { CONTENT_DIR };
 
 // Set port from args, env or config
 const PORT = args.port || process.env.PORT || config.port;
 
 // Validate content directory exists and is accessible
 try {
-  if (!existsSync(CONTENT_DIR)) {
-    throw new Error(`Directory does not exist: ${CONTENT_DIR}`);
-  }
-  
-  // Try to read the directory to verify access
-  await access(CONTENT_DIR);
+  await validateContentDir();
   
   LOG.info(`Using content directory: ${CONTENT_DIR}`);
   LOG.info('Content directory is accessible');
@@ -68,140 +55,73 @@ try {
  * Minimal HTTP server for Markdown Content API
  */
 function createServer() {
-  const server = http.createServer(async (req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname;
-    const query = parsedUrl.query;
-
-    // Get the origin from the request
-    const origin = req.headers.origin || '*';
-    
-    // Set CORS headers for all responses
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS, HEAD');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, Pragma, Expires');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Type, Cache-Control, Expires');
-    res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
-
-    // Handle preflight requests
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
-      res.end();
-      return;
-    }
-
-    // Default response headers
-    res.setHeader('Content-Type', 'application/json');
-    
-    try {
-      // API Routes
-      if (pathname.startsWith('/api/')) {
-        // Extract the API path
-        const apiPath = pathname.replace(/^\/api\//, '');
-        
-        // Create request object with parsed data
-        const request = { 
-          ...req, 
-          query, 
-          params: {},
-          method: req.method
-        };
+  const router = new Router();
+
+  // Middleware chain, outermost first
+  router
+    .use(errorMiddleware)
+    .use(loggingMiddleware)
+    .use(corsMiddleware)
+    .use(authMiddleware);
+
+  // API routes; the structure controller goes last because of its /api/{directory} catch-all
+  [
+    FirstDocumentController,
+    RelatedController,
+    BacklinksController,
+    SearchController,
+    NavigationController,
+    EventsController,
+    TaxonomyController,
+    HistoryController,
+    ContentController,
+    ContentWriteController,
+    MetadataController,
+    AssetsController,
+    DiagnosticsController,
+    StructureController
+  ].forEach(controller => controller.registerRoutes(router));
+
+  // Health check endpoint
+  router.get('/health', (req, res) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/plain');
+    res.end('OK');
+  });
 
-        // Handle specific API endpoints first
-        if (apiPath === 'first-document' || apiPath.startsWith('first-document/')) {
-          const pathPart = apiPath === 'first-document' ? '' : apiPath.replace('first-document/', '');
-          request.params.path = decodeURIComponent(pathPart).trim();
-          await FirstDocumentController.getFirstDocument(request, res);
-          return;
-        }
-        
-        if (apiPath === 'related' && req.method === 'GET') {
-          await RelatedController.getRelatedDocuments(request, res);
-          return;
-        }
+  // Default route
+  router.get('/', (req, res) => {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/plain');
+    res.end('Markdown Content API is running');
+  });
 
-        // Route to appropriate controller
-        if (apiPath === 'content' || apiPath.startsWith('content/')) {
-          // Handle content requests (files)
-          const pathPart = apiPath === 'content' ? '' : apiPath.replace('content/', '');
-          const decodedPath = decodeURIComponent(pathPart).trim();
-          
-          // If no extension, it's a directory - return a clear message
-          if (path.extname(decodedPath) === '') {
-            res.statusCode = 400;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({
-              error: 'Directory listing not available',
-              message: 'Use /api/structure/ to list directory contents',
-              path: decodedPath,
-              suggestedUrl: `/api/structure/${decodedPath}`.replace(/\/+$/, '')
-            }));
-            return;
-          }
-          
-          // Handle as file using ContentController
-          request.params.path = decodedPath;
-          await ContentController.handleRequest(request, res);
-          return;
-        }
-        
-        // Handle structure endpoint
-        if (apiPath === 'structure' || apiPath.startsWith('structure/')) {
-          // Handle structure requests (directories)
-          const pathPart = apiPath === 'structure' ? '' : apiPath.replace('structure/', '');
-          request.params.path = decodeURIComponent(pathPart).trim();
-          await StructureController.handleRequest(request, res);
-          return;
-        }
-        
-        // Handle root path or paths without extensions as directory listings
-        if (apiPath === '' || !path.extname(apiPath)) {
-          request.params.path = decodeURIComponent(apiPath).trim();
-          await StructureController.handleRequest(request, res);
-          return;
-        }
-        
-        res.statusCode = 404;
-        res.end(JSON.stringify({ error: 'Not Found' }));
-        return;
-      }
+  const server = http.createServer((req, res) => router.handle(req, res));
 
-      // Health check endpoint
-      if (pathname === '/health') {
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'text/plain');
-        res.end('OK');
-        return;
-      }
+  server.listen(PORT, '0.0.0.0', () => {
+    LOG.info(`Server is running on http://localhost:${PORT}`);
+  });
+}
 
-      // Default route
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'text/plain');
-      res.end('Markdown Content API is running');
-      return;
-      
+/**
+ * Watch the content directory, keep the content index up to date
+ * and drop cached data as soon as files change
+ * Call once the content index is built.
+ */
+function startContentWatcher() {
+  WatcherService.onContentChange(async (event) => {
+    LOG.info(`Content ${event.type}: ${event.path}`);
+    try {
+      await ContentChangeService.processContentChange(event);
     } catch (error) {
-      LOG.error('Error processing request:', error);
-      if (!res.headersSent) {
-        res.statusCode = 500;
-        res.end(JSON.stringify({ 
-          error: 'Internal Server Error',
-          details: error.message,
-          stack: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-        }));
-      }
-      return;
+      // Listeners of an EventEmitter must not reject: the change is lost, the server keeps running
+      LOG.error(`Failed to apply content ${event.type} of ${event.path}:`, error);
     }
-
-    // Fallback for unknown routes
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ error: 'Not found' }));
-  });
-
-  server.listen(PORT, '0.0.0.0', () => {
-    LOG.info(`Server is running on http://localhost:${PORT}`);
   });
+  WatcherService.startWatcher();
 }
 
+// The index is built before watching starts, so that no change is applied while it is being built
+await ContentIndex.buildContentIndex();
+startContentWatcher();
 createServer();
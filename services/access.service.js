@@ -0,0 +1,139 @@
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import { isPublished } from './publication.service.js';
+import { parentOf } from '../utils/path.utils.js';
+
+/**
+ * Access control for content
+ *
+ * Rules are declared with an `access:` list of groups, either in a directory's .metadata (applies to
+ * everything below it) or in a document's front-matter. The caller must belong to at least one group
+ * of every list along the path from the root to the entry; '*' stands for any authenticated caller.
+ * Entries without any rule are public.
+ *
+ * Documents that are not published (drafts, scheduled or expired, see publication.service.js) are
+ * hidden as well, unless the principal is in preview mode (`preview: true`, set by the auth
+ * middleware for editors asking for `?preview=true`).
+ */
+
+/**
+ * Check whether a principal may see a document
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @param {string|Object} document - Document path relative to CONTENT_DIR, or its index entry
+ * @returns {boolean} True if the document is visible
+ */
+export function canAccessDocument(principal, document) {
+  const doc = typeof document === 'string' ? ContentIndex.getDocument(document) : document;
+  if (!doc) return false;
+
+  return canAccessDirectory(principal, parentOf(doc.path))
+    && isAllowed(principal, doc.frontmatter?.access)
+    && (principal?.preview === true || isPublished(doc));
+}
+
+/**
+ * Check whether a principal may see a directory and, by inheritance, its content
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @param {string} dirPath - Directory path relative to CONTENT_DIR ('' for the root)
+ * @returns {boolean} True if the directory is visible
+ */
+export function canAccessDirectory(principal, dirPath) {
+  const segments = (dirPath || '').split('/').filter(Boolean);
+
+  for (let i = 0; i <= segments.length; i++) {
+    const directory = ContentIndex.getDirectory(segments.slice(0, i).join('/'));
+    if (directory && !isAllowed(principal, directory.metadata?.access)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a principal may see an arbitrary content path
+ * Documents are checked against their own rules; other paths (directories, removed or unindexed
+ * files) against the rules of the directories containing them.
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @param {string} contentPath - Path relative to CONTENT_DIR
+ * @returns {boolean} True if the path is visible
+ */
+export function canAccessPath(principal, contentPath) {
+  const normalizedPath = (contentPath || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+
+  if (ContentIndex.getDocument(normalizedPath)) {
+    return canAccessDocument(principal, normalizedPath);
+  }
+  if (ContentIndex.getDirectory(normalizedPath)) {
+    return canAccessDirectory(principal, normalizedPath);
+  }
+  return canAccessDirectory(principal, parentOf(normalizedPath));
+}
+
+/**
+ * Check whether a principal may see the git history of a path
+ * Indexed documents follow their own rules. Paths that are no longer indexed (deleted or moved
+ * documents) have lost the front-matter rules that protected them, so only editors who may see the
+ * containing directory get their history.
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @param {string} contentPath - Path relative to CONTENT_DIR
+ * @returns {boolean} True if the history is visible
+ */
+export function canAccessHistory(principal, contentPath) {
+  const normalizedPath = (contentPath || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+
+  if (ContentIndex.getDocument(normalizedPath)) {
+    return canAccessDocument(principal, normalizedPath);
+  }
+  if (ContentIndex.getDirectory(normalizedPath)) {
+    return canAccessDirectory(principal, normalizedPath);
+  }
+  return isEditor(principal) && canAccessDirectory(principal, parentOf(normalizedPath));
+}
+
+/**
+ * Check whether a principal may see a document as it was at a past revision
+ * The rules of the revision's own front-matter apply (access, draft and publication dates), on top
+ * of those of the directories containing the path now; check canAccessHistory as well.
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @param {string} contentPath - Path relative to CONTENT_DIR
+ * @param {Object|null} frontmatter - Front-matter of the document at that revision
+ * @returns {boolean} True if the revision is visible
+ */
+export function canAccessRevision(principal, contentPath, frontmatter) {
+  return canAccessDocument(principal, { path: contentPath, frontmatter: frontmatter || {} });
+}
+
+/**
+ * Check whether a principal may edit content (config.write.editorGroups)
+ * Editors still only reach the content their access rules let them see.
+ * @param {Object} principal - Caller, as returned by the auth middleware
+ * @returns {boolean} True if the caller is an authenticated member of an editor group
+ */
+export function isEditor(principal) {
+  if (!principal?.id) return false;
+
+  const editorGroups = config.write.editorGroups;
+  return editorGroups.includes('*') || principal.groups.some(group => editorGroups.includes(group));
+}
+
+/**
+ * Evaluate a single `access:` rule
+ * @param {Object} principal - Caller
+ * @param {*} rule - List of groups, comma-separated string, or undefined for no restriction
+ * @returns {boolean} True if the rule lets the caller through
+ */
+function isAllowed(principal, rule) {
+  if (rule === undefined || rule === null) return true;
+
+  const groups = (Array.isArray(rule) ? rule : String(rule).split(','))
+    .map(group => String(group).trim())
+    .filter(group => group.length > 0);
+
+  // An empty list is treated as no restriction
+  if (groups.length === 0) return true;
+  if (!principal?.id) return false;
+  if (groups.includes('*')) return true;
+
+  return groups.some(group => principal.groups.includes(group));
+}
@@ -0,0 +1,85 @@
+import path from 'path';
+import { config } from '../config/app.config.js';
+import { isContentFile } from '../utils/file.utils.js';
+
+/**
+ * Get the MIME type of an asset
+ * @param {string} filePath - File name or path
+ * @returns {string} MIME type from config.assets.mimeTypes, or application/octet-stream
+ */
+export function getMimeType(filePath) {
+  return config.assets.mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Point relative image and attachment URLs of a Markdown document at /api/assets
+ * Covers inline links and images (`[x](url)`, `![x](url)`) and reference definitions
+ * (`[id]: url`); fenced code blocks are left alone.
+ * @param {string} markdown - Markdown content
+ * @param {string} documentPath - Path of the document relative to CONTENT_DIR
+ * @returns {string} Markdown with rewritten URLs
+ */
+export function rewriteMarkdownAssetUrls(markdown, documentPath) {
+  // Odd parts are fenced code blocks
+  return markdown
+    .split(/(^(?:```|~~~)[\s\S]*?^(?:```|~~~)[ \t]*$)/m)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      return part
+        .replace(/(!?\[[^\]]*\]\(\s*<?)([^)\s>]+)/g, (match, prefix, url) =>
+          prefix + resolveAssetUrl(url, documentPath))
+        .replace(/^(\s{0,3}\[[^\]]+\]:\s*<?)(\S+?)(>?(?:\s|$))/gm, (match, prefix, url, suffix) =>
+          prefix + resolveAssetUrl(url, documentPath) + suffix);
+    })
+    .join('');
+}
+
+/**
+ * Point relative src and href attributes of an HTML document at /api/assets
+ * @param {string} html - HTML markup
+ * @param {string} documentPath - Path of the document relative to CONTENT_DIR
+ * @returns {string} HTML with rewritten URLs
+ */
+export function rewriteHtmlAssetUrls(html, documentPath) {
+  return html.replace(/(\s(?:src|href)\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, url) =>
+    `${prefix}${quote}${resolveAssetUrl(url, documentPath)}${quote}`);
+}
+
+/**
+ * Resolve one URL found in a document
+ * Absolute URLs, anchors, root-relative paths, links to other documents (content extension or no
+ * extension at all) and paths leaving CONTENT_DIR are returned unchanged.
+ * @param {string} url - URL as written in the document
+ * @param {string} documentPath - Path of the document relative to CONTENT_DIR
+ * @returns {string} Asset URL or the original URL
+ */
+export function resolveAssetUrl(url, documentPath) {
+  if (!url || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return url;
+
+  const [pathPart, suffix = ''] = splitUrl(url);
+  if (!pathPart || !path.posix.extname(pathPart) || isContentFile(pathPart)) return url;
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathPart);
+  } catch (error) {
+    return url;
+  }
+
+  const directory = path.posix.dirname(documentPath);
+  const resolved = path.posix.normalize(path.posix.join(directory === '.' ? '' : directory, decoded));
+  if (resolved === '..' || resolved.startsWith('../') || resolved.startsWith('/')) return url;
+
+  const encoded = resolved.split('/').map(encodeURIComponent).join('/');
+  return `${config.assets.baseUrl.replace(/\/+$/, '')}/${encoded}${suffix}`;
+}
+
+/**
+ * Split a URL into its path and its query string / fragment
+ * @param {string} url - Relative URL
+ * @returns {[string, string]} Path and suffix
+ */
+function splitUrl(url) {
+  const index = url.search(/[?#]/);
+  return index === -1 ? [url, ''] : [url.slice(0, index), url.slice(index)];
+}
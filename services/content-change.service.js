@@ -0,0 +1,28 @@
+import { createLogger } from '../logger.js';
+import * as ContentIndex from './content-index.service.js';
+import * as RelatedService from './related.service.js';
+import * as SearchService from './search.service.js';
+import * as LinkService from './link.service.js';
+import * as WatcherService from './watcher.service.js';
+
+const LOG = createLogger('ContentChangeService');
+
+/**
+ * Apply a content change to the content index, the search index, the link graph and the related
+ * documents cache, then report it to /api/events clients
+ * Changes come from the watcher and from the write API, which does not wait for the watcher (and
+ * works without it).
+ * @param {{type: 'added'|'changed'|'removed', path: string}} event - Change of a path relative to CONTENT_DIR
+ * @returns {Promise<void>}
+ */
+export async function processContentChange(event) {
+  LOG.debug(`Applying content ${event.type}: ${event.path}`);
+
+  // A removed document is reported with the access rules it had
+  const previous = ContentIndex.getDocument(event.path);
+  await ContentIndex.applyContentChange(event);
+  RelatedService.clearRelatedCache();
+  await SearchService.updateSearchIndex(event);
+  await LinkService.refreshLinkGraph([event.path]);
+  WatcherService.publishIndexedChange(event, ContentIndex.getDocument(event.path) || previous);
+}
@@ -0,0 +1,292 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import { isContentFile } from '../utils/file.utils.js';
+import { parentOf } from '../utils/path.utils.js';
+import { parseHtmlDocument } from './html.service.js';
+import { parseFrontmatter, parseMetadataFile, normalizeMetadata } from './metadata.service.js';
+
+const LOG = createLogger('ContentIndex');
+
+// In-memory index of CONTENT_DIR, built once at startup and updated incrementally
+// documents: { [path]: { path, name, isDirectory: false, extension, title, frontmatter, mtime, size } }
+// directories: { [path]: { path, name, isDirectory: true, metadata, mtime, size } } ('' is the root)
+// children: { [directoryPath]: Set<entryPath> }
+const contentIndex = {
+  documents: new Map(),
+  directories: new Map(),
+  children: new Map(),
+  builtAt: null
+};
+
+// Changes are applied one at a time: interleaved updates of the same directory could re-add entries
+// that another update has just removed
+let changeQueue = Promise.resolve();
+
+/**
+ * Scan CONTENT_DIR and (re)build the whole index
+ * @returns {Promise<void>}
+ */
+export async function buildContentIndex() {
+  const startTime = Date.now();
+
+  contentIndex.documents.clear();
+  contentIndex.directories.clear();
+  contentIndex.children.clear();
+
+  await indexDirectory('');
+
+  contentIndex.builtAt = Date.now();
+  LOG.info(`Content index built: ${contentIndex.documents.size} documents, ${contentIndex.directories.size} directories in ${contentIndex.builtAt - startTime}ms`);
+}
+
+/**
+ * Update the index after a file-system change
+ * @param {{type: string, path: string}} event - Change event from the watcher service
+ * @returns {Promise<void>} Resolved once this change and the ones queued before it are applied
+ */
+export function applyContentChange(event) {
+  changeQueue = changeQueue.then(() => applyChange(event));
+  return changeQueue;
+}
+
+/**
+ * Apply a single file-system change to the index
+ * @param {{type: string, path: string}} event - Change event
+ * @returns {Promise<void>}
+ */
+async function applyChange(event) {
+  const relativePath = normalizePath(event.path);
+
+  try {
+    // A .metadata file belongs to its directory entry
+    if (path.posix.basename(relativePath) === '.metadata') {
+      const dirPath = parentOf(relativePath);
+      if (contentIndex.directories.has(dirPath)) {
+        contentIndex.directories.get(dirPath).metadata = await readDirectoryMetadata(dirPath);
+        LOG.debug(`Reloaded metadata of directory: ${dirPath || 'root'}`);
+      }
+      return;
+    }
+
+    if (!isIndexedPath(relativePath)) return;
+
+    let stats = null;
+    try {
+      stats = await fs.stat(path.join(CONTENT_DIR, relativePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!stats) {
+      removeEntry(relativePath);
+      LOG.debug(`Removed from content index: ${relativePath}`);
+      return;
+    }
+
+    // Make sure the parent chain is indexed (e.g. a directory created together with the file)
+    const parentPath = parentOf(relativePath);
+    if (!contentIndex.directories.has(parentPath)) {
+      await applyChange({ type: 'added', path: parentPath });
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      removeEntry(relativePath);
+      await indexDirectory(relativePath, stats);
+    } else if (stats.isFile() && isContentFile(relativePath)) {
+      await indexFile(relativePath, stats);
+    }
+
+    LOG.debug(`Updated content index: ${relativePath}`);
+  } catch (error) {
+    LOG.error(`Error updating content index for ${relativePath}:`, error);
+  }
+}
+
+/**
+ * Get an indexed document
+ * @param {string} documentPath - Path relative to CONTENT_DIR
+ * @returns {Object|null} Document entry
+ */
+export function getDocument(documentPath) {
+  return contentIndex.documents.get(normalizePath(documentPath)) || null;
+}
+
+/**
+ * Get an indexed directory
+ * @param {string} dirPath - Path relative to CONTENT_DIR ('' for the root)
+ * @returns {Object|null} Directory entry
+ */
+export function getDirectory(dirPath) {
+  return contentIndex.directories.get(normalizePath(dirPath)) || null;
+}
+
+/**
+ * List the direct children (directories and documents) of a directory
+ * @param {string} dirPath - Path relative to CONTENT_DIR ('' for the root)
+ * @returns {Array<Object>} Entries in no particular order
+ */
+export function listChildren(dirPath) {
+  const childPaths = contentIndex.children.get(normalizePath(dirPath)) || new Set();
+
+  return [...childPaths].map(childPath =>
+    contentIndex.directories.get(childPath) || contentIndex.documents.get(childPath)
+  );
+}
+
+/**
+ * List every indexed document
+ * @returns {Array<Object>} Document entries
+ */
+export function listDocuments() {
+  return [...contentIndex.documents.values()];
+}
+
+/**
+ * Recursively index a directory
+ * @param {string} dirPath - Path relative to CONTENT_DIR
+ * @param {fs.Stats} [stats] - Stats of the directory, read if omitted
+ */
+async function indexDirectory(dirPath, stats) {
+  const fullPath = path.join(CONTENT_DIR, dirPath);
+  const dirStats = stats || await fs.stat(fullPath);
+
+  contentIndex.directories.set(dirPath, {
+    path: dirPath,
+    name: path.posix.basename(dirPath),
+    isDirectory: true,
+    metadata: await readDirectoryMetadata(dirPath),
+    mtime: dirStats.mtime,
+    size: dirStats.size
+  });
+  addChild(dirPath);
+
+  const entries = await fs.readdir(fullPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = path.posix.join(dirPath, entry.name);
+    if (!isIndexedPath(entryPath)) continue;
+
+    try {
+      if (entry.isDirectory()) {
+        await indexDirectory(entryPath);
+      } else if (entry.isFile() && isContentFile(entry.name)) {
+        await indexFile(entryPath);
+      }
+    } catch (error) {
+      LOG.error(`Error indexing ${entryPath}:`, error);
+    }
+  }
+}
+
+/**
+ * Index a single content file
+ * @param {string} filePath - Path relative to CONTENT_DIR
+ * @param {fs.Stats} [stats] - Stats of the file, read if omitted
+ */
+async function indexFile(filePath, stats) {
+  const fullPath = path.join(CONTENT_DIR, filePath);
+  const fileStats = stats || await fs.stat(fullPath);
+  const extension = path.posix.extname(filePath).toLowerCase();
+
+  // Markdown front-matter, or the comment front-matter / <title> / <meta> of HTML files
+  const content = await fs.readFile(fullPath, 'utf8');
+  const { metadata, error } = extension === '.html'
+    ? parseHtmlDocument(content)
+    : parseFrontmatter(content);
+  if (error) {
+    LOG.warn(`Invalid front-matter in ${filePath} (line ${error.line}): ${error.message}`);
+  }
+  const frontmatter = normalizeMetadata(metadata, filePath);
+
+  const name = path.posix.basename(filePath);
+
+  contentIndex.documents.set(filePath, {
+    path: filePath,
+    name,
+    isDirectory: false,
+    extension,
+    title: frontmatter.title,
+    frontmatter,
+    mtime: fileStats.mtime,
+    size: fileStats.size
+  });
+  addChild(filePath);
+}
+
+/**
+ * Read the .metadata file of a directory
+ * @param {string} dirPath - Path relative to CONTENT_DIR
+ * @returns {Promise<Object>} Parsed metadata, or an empty object if there is none
+ */
+async function readDirectoryMetadata(dirPath) {
+  const metadataPath = path.join(CONTENT_DIR, dirPath, '.metadata');
+  try {
+    return parseMetadataFile(await fs.readFile(metadataPath, 'utf8'));
+  } catch (error) {
+    if (error.name === 'MetadataError') {
+      LOG.warn(`Invalid .metadata file ${metadataPath} (line ${error.line}): ${error.message}`);
+    } else if (error.code !== 'ENOENT') {
+      LOG.error(`Error reading .metadata file ${metadataPath}:`, error);
+    }
+    return {};
+  }
+}
+
+/**
+ * Remove an entry and everything below it
+ * @param {string} entryPath - Path relative to CONTENT_DIR
+ */
+function removeEntry(entryPath) {
+  for (const childPath of contentIndex.children.get(entryPath) || []) {
+    removeEntry(childPath);
+  }
+
+  contentIndex.documents.delete(entryPath);
+  contentIndex.directories.delete(entryPath);
+  contentIndex.children.delete(entryPath);
+  contentIndex.children.get(parentOf(entryPath))?.delete(entryPath);
+}
+
+/**
+ * Register an entry as a child of its parent directory
+ * @param {string} entryPath - Path relative to CONTENT_DIR
+ */
+function addChild(entryPath) {
+  if (entryPath === '') return;
+
+  const parentPath = parentOf(entryPath);
+  if (!contentIndex.children.has(parentPath)) {
+    contentIndex.children.set(parentPath, new Set());
+  }
+  contentIndex.children.get(parentPath).add(entryPath);
+}
+
+/**
+ * Check whether a path belongs in the index
+ * Hidden entries and configured ignored directories are skipped.
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {boolean} True if the path is indexed
+ */
+function isIndexedPath(relativePath) {
+  if (relativePath === '') return true;
+
+  return relativePath.split('/').every(segment =>
+    !segment.startsWith('.') && !config.ignoredDirectories.includes(segment)
+  );
+}
+
+/**
+ * Normalize a relative path to the form used as index key
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {string} Normalized path
+ */
+function normalizePath(relativePath) {
+  return (relativePath || '')
+    .replace(/\\/g, '/')
+    .replace(/^\/+|\/+$/g, '')
+    .replace(/\/+/g, '/');
+}
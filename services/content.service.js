@@ -1,85 +1,50 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { CONTENT_DIR } from '../server.js';
 import { createLogger } from '../logger.js';
 import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as StructureService from './structure.service.js';
+import * as AccessService from './access.service.js';
+import { resolveContentPath } from '../utils/path.utils.js';
 
 const LOG = createLogger('ContentService');
 
 /**
- * Find the first document in the specified directory using configured extensions
+ * Find the first document of a directory in sidebar order.
+ * A document named by the directory's `.metadata` `index` (or `default`) entry wins;
+ * otherwise the first document of a depth-first walk in sidebar order is used.
+ * Documents and directories the principal may not see are skipped.
  * @param {string} [directory=''] - The directory to search in (relative to CONTENT_DIR)
+ * @param {Object} [principal] - Caller, as returned by the auth middleware
  * @returns {Promise<{path: string|null, error: string|null}>} The path of the first document or null if none found
  */
-export async function findFirstDocument(directory = '') {
+export async function findFirstDocument(directory = '', principal) {
   try {
     LOG.debug(`Finding first document in directory: '${directory}'`);
     
     // Normalize the directory path
-    const normalizedDir = path.normalize(directory).replace(/\\/g, '/');
-    const searchDir = path.join(CONTENT_DIR, normalizedDir);
+    const normalizedDir = path.posix.normalize(directory.replace(/\\/g, '/'))
+      .replace(/^(\.\/?)+/, '')
+      .replace(/^\/+|\/+$/g, '');
     
-    // Check if the directory exists
-    try {
-      const dirStats = await fs.stat(searchDir);
-      if (!dirStats.isDirectory()) {
-        LOG.error(`Path is not a directory: ${searchDir}`);
+    if (!ContentIndex.getDirectory(normalizedDir) || !AccessService.canAccessDirectory(principal, normalizedDir)) {
+      if (ContentIndex.getDocument(normalizedDir) && AccessService.canAccessDocument(principal, normalizedDir)) {
+        LOG.error(`Path is not a directory: ${normalizedDir}`);
         return { path: null, error: 'Path is not a directory' };
       }
-    } catch (dirError) {
-      LOG.error(`Directory not found: ${searchDir}`, dirError);
+      LOG.error(`Directory not found: ${normalizedDir}`);
       return { path: null, error: 'Directory not found' };
     }
     
-    // Read the directory
-    const items = await fs.readdir(searchDir, { withFileTypes: true });
+    const firstDocument = resolveFirstDocument(normalizedDir, principal);
     
-    // Filter and sort files by extension priority
-    const files = items
-      .filter(item => item.isFile() && 
-        config.contentExtensions.some(ext => item.name.endsWith(ext)))
-      .sort((a, b) => {
-        // Sort by extension priority first, then by filename
-        const extA = path.extname(a.name);
-        const extB = path.extname(b.name);
-        const extPriorityA = config.contentExtensions.indexOf(extA);
-        const extPriorityB = config.contentExtensions.indexOf(extB);
-        
-        if (extPriorityA !== extPriorityB) {
-          return extPriorityA - extPriorityB;
-        }
-        return a.name.localeCompare(b.name);
-      });
-    
-    if (files.length > 0) {
-      // Return the first matching file
-      const relativePath = path.posix.join(normalizedDir, files[0].name).replace(/\\/g, '/');
-      LOG.info(`First document found: ${relativePath}`);
-      return { 
-        path: relativePath.endsWith(config.defaultContentExtension) 
-          ? relativePath.slice(0, -config.defaultContentExtension.length) 
-          : relativePath,
-        error: null 
-      };
-    }
-    
-    // If no files found, search in subdirectories
-    const subdirs = items
-      .filter(item => item.isDirectory() && 
-        !config.ignoredDirectories.includes(item.name))
-      .sort((a, b) => a.name.localeCompare(b.name));
-    
-    for (const subdir of subdirs) {
-      const subdirPath = path.posix.join(normalizedDir, subdir.name);
-      const result = await findFirstDocument(subdirPath);
-      if (result.path) {
-        return result;
-      }
+    if (!firstDocument) {
+      LOG.warn(`No content files found in directory: '${directory}'`);
+      return { path: null, error: null };
     }
     
-    // If we reach here, no files were found
-    LOG.warn(`No content files found in directory: '${directory}'`);
-    return { path: null, error: null };
+    LOG.info(`First document found: ${firstDocument.path}`);
+    return { path: firstDocument.path, title: firstDocument.title, error: null };
     
   } catch (error) {
     LOG.error('Error finding first document:', error);
@@ -91,6 +56,51 @@ export async function findFirstDocument(directory = '') {
   }
 }
 
+/**
+ * Resolve the first document below a directory
+ * @param {string} dirPath - Directory path relative to CONTENT_DIR
+ * @param {Object} [principal] - Caller, as returned by the auth middleware
+ * @returns {Object|null} Content index entry of the document
+ */
+function resolveFirstDocument(dirPath, principal) {
+  const declared = resolveDeclaredDocument(dirPath);
+  if (declared && AccessService.canAccessDocument(principal, declared)) return declared;
+  
+  for (const item of StructureService.listDirectory(dirPath, 1, principal)) {
+    const document = item.isDirectory
+      ? resolveFirstDocument(item.path, principal)
+      : ContentIndex.getDocument(item.path);
+    if (document) return document;
+  }
+  
+  return null;
+}
+
+/**
+ * Resolve the document declared as `index` or `default` in a directory's .metadata
+ * The name may omit its extension; configured extensions are then tried in priority order.
+ * @param {string} dirPath - Directory path relative to CONTENT_DIR
+ * @returns {Object|null} Content index entry of the declared document
+ */
+function resolveDeclaredDocument(dirPath) {
+  const metadata = ContentIndex.getDirectory(dirPath)?.metadata || {};
+  const declared = metadata.index || metadata.default;
+  if (typeof declared !== 'string' || !declared.trim()) return null;
+  
+  const declaredPath = path.posix.join(dirPath, declared.trim());
+  const candidates = path.posix.extname(declaredPath)
+    ? [declaredPath]
+    : config.contentExtensions.map(ext => `${declaredPath}${ext}`);
+  
+  for (const candidate of candidates) {
+    const document = ContentIndex.getDocument(candidate);
+    if (document) return document;
+  }
+  
+  LOG.warn(`Declared index document not found in '${dirPath || 'root'}': ${declared}`);
+  return null;
+}
+
 /**
  * Checks if a document exists at the given path
  * @param {string} documentPath - Path to the document relative to content directory
@@ -98,9 +108,9 @@ export async function findFirstDocument(directory = '') {
  */
 export async function documentExists(documentPath) {
   try {
-    // Normalize the path to prevent directory traversal
-    const normalizedPath = path.normalize(documentPath).replace(/^\.\.\//, '');
-    const fullPath = path.join(CONTENT_DIR, normalizedPath);
+    // Invalid paths and paths escaping CONTENT_DIR throw and count as missing
+    const { fullPath, exists } = await resolveContentPath(documentPath);
+    if (!exists) return false;
     
     const stats = await fs.stat(fullPath);
     return stats.isFile();
@@ -0,0 +1,215 @@
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'yaml';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+import { validateFields } from './schema.service.js';
+import { splitFrontmatter, parseMetadataSource } from './metadata.service.js';
+
+const LOG = createLogger('FrontmatterService');
+
+/**
+ * Check the front-matter of every document and the .metadata file of every directory
+ * Files are read from disk, so the report reflects what writers see in their editor.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - Caller; only the files it may see are reported
+ *   (all files when omitted)
+ * @returns {Promise<Object>} `{checkedAt, files, invalid: [{path, title, problems}], ok}` where
+ *   problems are `{type: 'syntax'|'schema', line, column?, field, message}`, or `{error, details}`
+ */
+export async function checkFrontmatter({ principal } = {}) {
+  try {
+    const startTime = Date.now();
+    const invalid = [];
+    let fileCount = 0;
+
+    const documents = ContentIndex.listDocuments()
+      .filter(document => !principal || AccessService.canAccessDocument(principal, document));
+
+    for (const document of documents) {
+      const raw = await readSource(document.path);
+      if (raw === null) continue;
+
+      fileCount++;
+      const { problems } = inspectDocument(document.path, raw);
+      if (problems.length > 0) invalid.push({ path: document.path, title: document.title, problems });
+    }
+
+    const directories = listDirectories('')
+      .filter(directory => !principal || AccessService.canAccessDirectory(principal, directory.path));
+
+    for (const directory of directories) {
+      const metadataPath = directory.path ? `${directory.path}/.metadata` : '.metadata';
+      const raw = await readSource(metadataPath);
+      if (raw === null) continue;
+
+      fileCount++;
+      const problems = inspectSource(raw, 'yaml', 1, 1, config.schemas.directory);
+      if (problems.length > 0) invalid.push({ path: metadataPath, title: null, problems });
+    }
+
+    invalid.sort((a, b) => a.path.localeCompare(b.path));
+    LOG.info(`Checked metadata of ${fileCount} files in ${Date.now() - startTime}ms: ${invalid.length} with problems`);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      files: fileCount,
+      invalid,
+      ok: invalid.length === 0
+    };
+  } catch (error) {
+    LOG.error('Error checking front-matter:', error);
+    return {
+      error: 'Failed to check front-matter',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Check the front-matter of a document against config.schemas.frontmatter
+ * Any front-matter format is accepted (see metadata.service.js).
+ * @param {string} documentPath - Path of the document, for its format
+ * @param {string} raw - Raw file content
+ * @returns {{problems: Array<Object>}} Problems with 1-based line numbers in the file
+ */
+export function inspectDocument(documentPath, raw) {
+  const html = path.posix.extname(documentPath).toLowerCase() === '.html';
+  const block = splitFrontmatter(raw, { html });
+
+  if (block.unterminated) {
+    return {
+      problems: [{
+        type: 'syntax',
+        line: block.openingLine,
+        field: null,
+        message: `Front-matter is not closed${html ? ' before -->' : ''}`
+      }]
+    };
+  }
+
+  // Without a block, only missing required fields can be reported
+  if (block.source === null) {
+    return { problems: inspectMetadata({}, () => null, 1, config.schemas.frontmatter) };
+  }
+
+  return { problems: inspectSource(block.source, block.format, block.startLine, block.openingLine, config.schemas.frontmatter) };
+}
+
+/**
+ * Parse a metadata block and check it against a schema
+ * @param {string} source - Block source
+ * @param {string} format - 'yaml', 'toml' or 'json'
+ * @param {number} startLine - Line of the file on which the source starts
+ * @param {number} blockLine - Line reported for problems of the whole block (such as missing fields)
+ * @param {Object} schema - Schema from config.schemas
+ * @returns {Array<Object>} Problems with 1-based line numbers in the file
+ */
+function inspectSource(source, format, startLine, blockLine, schema) {
+  let metadata;
+  try {
+    metadata = parseMetadataSource(source, format);
+  } catch (error) {
+    return [{
+      type: 'syntax',
+      line: error.line ? startLine + error.line - 1 : blockLine,
+      column: error.column ?? null,
+      field: null,
+      message: error.message
+    }];
+  }
+
+  const locate = format === 'yaml' ? yamlFieldLocator(source) : keyFieldLocator(source, format);
+  return inspectMetadata(metadata, field => {
+    const line = locate(field);
+    return line === null ? null : startLine + line - 1;
+  }, blockLine, schema);
+}
+
+/**
+ * Check parsed metadata against a schema and locate each problem in the file
+ * @param {Object} metadata - Parsed metadata
+ * @param {Function} locate - (field) => line of the field in the file, or null
+ * @param {number} blockLine - Line reported for fields that are not in the file
+ * @param {Object} schema - Schema from config.schemas
+ * @returns {Array<Object>} Schema problems
+ */
+function inspectMetadata(metadata, locate, blockLine, schema) {
+  return validateFields(metadata, schema)
+    .map(({ field, message }) => ({ type: 'schema', line: locate(field) ?? blockLine, field, message }))
+    .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Locate fields, or elements of list fields ('tags[2]'), in a YAML source
+ * @param {string} source - Valid YAML source
+ * @returns {Function} (field) => 1-based line in the source, or null if the field is not there
+ */
+function yamlFieldLocator(source) {
+  const lineCounter = new yaml.LineCounter();
+  const document = yaml.parseDocument(source.replace(/\r\n/g, '\n'), { lineCounter });
+
+  return (field) => {
+    const [, name, index] = field.match(/^(.*?)(?:\[(\d+)\])?$/);
+    const pair = document.contents?.items?.find(item => String(item.key?.value ?? item.key) === name);
+    if (!pair) return null;
+
+    const node = index !== undefined && yaml.isSeq(pair.value) && pair.value.items[index]?.range
+      ? pair.value.items[index]
+      : pair.key;
+    return node?.range ? lineCounter.linePos(node.range[0]).line : null;
+  };
+}
+
+/**
+ * Locate top-level keys in a TOML or JSON source, by the line on which each key is written
+ * @param {string} source - Valid TOML or JSON source
+ * @param {string} format - 'toml' or 'json'
+ * @returns {Function} (field) => 1-based line in the source, or null if the key is not found
+ */
+function keyFieldLocator(source, format) {
+  const lines = source.split('\n');
+
+  return (field) => {
+    const name = field.replace(/\[\d+\]$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = format === 'json'
+      ? new RegExp(`^\\s*"${name}"\\s*:`)
+      : new RegExp(`^\\s*(?:${name}|"${name}"|'${name}')\\s*=`);
+    const index = lines.findIndex(line => pattern.test(line));
+    return index === -1 ? null : index + 1;
+  };
+}
+
+/**
+ * All indexed directories below a directory, itself included
+ * @param {string} dirPath - Directory path relative to CONTENT_DIR ('' for the root)
+ * @returns {Array<Object>} Directory entries
+ */
+function listDirectories(dirPath) {
+  const directory = ContentIndex.getDirectory(dirPath);
+  if (!directory) return [];
+
+  return [
+    directory,
+    ...ContentIndex.listChildren(dirPath)
+      .filter(entry => entry.isDirectory)
+      .flatMap(entry => listDirectories(entry.path))
+  ];
+}
+
+/**
+ * Read a file of the content tree
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {Promise<string|null>} Content, or null if the file is missing
+ */
+async function readSource(relativePath) {
+  try {
+    return await fs.readFile(path.join(CONTENT_DIR, relativePath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
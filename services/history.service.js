@@ -0,0 +1,211 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+
+const LOG = createLogger('HistoryService');
+
+const execFileAsync = promisify(execFile);
+
+// Revisions accepted from clients: HEAD or an abbreviated / full commit hash
+// (nothing that git could read as an option, a range or a reflog expression)
+const REVISION_PATTERN = /^(?:HEAD|[0-9a-f]{4,64})$/i;
+
+// git log format: fields separated by US, records terminated by RS
+const LOG_FORMAT = '%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%s%x1f%b%x1e';
+
+// Whether CONTENT_DIR lies in a git work tree, checked once
+let repositoryCheck = null;
+
+/**
+ * List the commits that touched a file, newest first
+ * Renames are followed.
+ * @param {string} contentPath - Normalized path relative to CONTENT_DIR
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of commits (config.history.defaultLimit, capped at maxLimit)
+ * @param {number} [options.skip=0] - Number of commits to skip, for paging
+ * @returns {Promise<{path: string, commits: Array<Object>, error?: string, details?: string}>}
+ *   Commits `{sha, shortSha, author: {name, email}, date, message, body}`
+ */
+export async function getHistory(contentPath, { limit, skip = 0 } = {}) {
+  try {
+    const unavailable = await checkRepository();
+    if (unavailable) return { ...unavailable, commits: [] };
+
+    const maxCount = Math.min(Math.max(parseInt(limit, 10) || config.history.defaultLimit, 1), config.history.maxLimit);
+    const skipCount = Math.max(parseInt(skip, 10) || 0, 0);
+
+    // With --follow, git applies --skip before filtering on the path: skip the commits here instead
+    const output = await git([
+      'log', `--max-count=${skipCount + maxCount}`, `--format=${LOG_FORMAT}`,
+      '--follow', '--', contentPath
+    ]);
+
+    const commits = output
+      .split('\x1e')
+      .map(record => record.replace(/^\n/, ''))
+      .filter(record => record.length > 0)
+      .slice(skipCount)
+      .map(parseCommit);
+
+    LOG.debug(`Found ${commits.length} commits for ${contentPath}`);
+    return { path: contentPath, commits };
+  } catch (error) {
+    LOG.error(`Error reading history of ${contentPath}:`, error);
+    return {
+      error: 'Failed to read history',
+      details: error.message,
+      commits: []
+    };
+  }
+}
+
+/**
+ * Read a file as it was at a given revision
+ * @param {string} contentPath - Normalized path relative to CONTENT_DIR
+ * @param {string} revision - Commit hash or HEAD
+ * @returns {Promise<{content: string, commit: Object, error?: string, details?: string}>}
+ *   File content and the commit it was read from
+ */
+export async function readFileAtRevision(contentPath, revision) {
+  try {
+    const unavailable = await checkRepository();
+    if (unavailable) return unavailable;
+
+    const commit = await resolveCommit(revision);
+    if (commit.error) return commit;
+
+    let content;
+    try {
+      content = await git(['cat-file', 'blob', `${commit.sha}:./${contentPath}`]);
+    } catch (error) {
+      return {
+        error: 'Document not found at revision',
+        details: `'${contentPath}' does not exist in revision ${commit.shortSha}`
+      };
+    }
+
+    return { content, commit };
+  } catch (error) {
+    LOG.error(`Error reading ${contentPath} at revision ${revision}:`, error);
+    return {
+      error: 'Failed to read revision',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Compute the unified diff of a file between two revisions
+ * @param {string} contentPath - Normalized path relative to CONTENT_DIR
+ * @param {string} from - Base commit hash or HEAD
+ * @param {string} [to] - Target commit hash or HEAD; the current file when omitted
+ * @returns {Promise<{path: string, from: Object, to: Object|null, diff: string, error?: string, details?: string}>}
+ *   `to` is null when comparing with the current file; `diff` is empty when nothing changed
+ */
+export async function diffRevisions(contentPath, from, to) {
+  try {
+    const unavailable = await checkRepository();
+    if (unavailable) return unavailable;
+
+    const fromCommit = await resolveCommit(from);
+    if (fromCommit.error) return fromCommit;
+
+    const toCommit = to ? await resolveCommit(to) : null;
+    if (toCommit?.error) return toCommit;
+
+    const diff = await git([
+      'diff', '--no-color', '--no-ext-diff', '--no-textconv',
+      fromCommit.sha, ...(toCommit ? [toCommit.sha] : []), '--', contentPath
+    ]);
+
+    return { path: contentPath, from: fromCommit, to: toCommit, diff };
+  } catch (error) {
+    LOG.error(`Error computing diff of ${contentPath}:`, error);
+    return {
+      error: 'Failed to compute diff',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Check that CONTENT_DIR is inside a git work tree
+ * @returns {Promise<{error: string, details: string}|null>} Service error, or null if history is available
+ */
+async function checkRepository() {
+  if (!repositoryCheck) {
+    repositoryCheck = git(['rev-parse', '--is-inside-work-tree'])
+      .then(output => output.trim() === 'true')
+      .catch(error => {
+        LOG.warn(`Document history unavailable: ${error.message.split('\n')[0]}`);
+        return false;
+      });
+  }
+
+  return await repositoryCheck ? null : {
+    error: 'History not available',
+    details: 'The content directory is not a git repository'
+  };
+}
+
+/**
+ * Resolve a client-supplied revision to a commit
+ * @param {string} revision - Commit hash or HEAD
+ * @returns {Promise<Object>} Commit (see parseCommit), or `{error, details}` if the revision is
+ *   malformed or unknown
+ */
+async function resolveCommit(revision) {
+  const value = String(revision || '').trim();
+  if (!REVISION_PATTERN.test(value)) {
+    return {
+      error: 'Invalid revision',
+      details: 'A revision must be HEAD or a commit hash'
+    };
+  }
+
+  try {
+    const output = await git(['show', '--no-patch', `--format=${LOG_FORMAT}`, `${value}^{commit}`]);
+    return parseCommit(output.replace(/\x1e\s*$/, ''));
+  } catch (error) {
+    return {
+      error: 'Revision not found',
+      details: `Unknown revision: ${value}`
+    };
+  }
+}
+
+/**
+ * Parse a record printed with LOG_FORMAT
+ * @param {string} record - Fields separated by \x1f
+ * @returns {{sha: string, shortSha: string, author: {name: string, email: string}, date: string, message: string, body: string}}
+ */
+function parseCommit(record) {
+  const [sha, shortSha, name, email, date, message, body = ''] = record.split('\x1f');
+  return {
+    sha,
+    shortSha,
+    author: { name, email },
+    date,
+    message,
+    body: body.trim()
+  };
+}
+
+/**
+ * Run a git command in CONTENT_DIR
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} If git is missing, fails or exceeds the configured time or output limits
+ */
+async function git(args) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd: CONTENT_DIR,
+    encoding: 'utf8',
+    timeout: config.history.timeout,
+    maxBuffer: config.history.maxOutputSize,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+  });
+  return stdout;
+}
@@ -0,0 +1,134 @@
+import { sanitizeContentHtml, slugify } from './markdown.service.js';
+import { parseFrontmatter } from './metadata.service.js';
+
+// <meta name="..."> entries copied into the metadata, by metadata key
+const META_FIELDS = {
+  description: 'description',
+  keywords: 'tags',
+  author: 'author'
+};
+
+/**
+ * Split an HTML content file into metadata and body
+ * Metadata comes from a leading comment front-matter block (see metadata.service.js), then from
+ * <title> and <meta name="description|keywords|author">; front-matter values win. `keywords` become `tags`.
+ * @param {string} raw - Raw file content
+ * @returns {{metadata: Object, body: string, error: MetadataError|null}} Metadata, the unsanitized body
+ *   markup and the error of a front-matter block that cannot be parsed
+ */
+export function parseHtmlDocument(raw) {
+  const { metadata: frontmatter, content, error } = parseFrontmatter(raw, { html: true });
+  const metadata = { ...frontmatter };
+
+  const head = (content.match(/<head[^>]*>([\s\S]*?)<\/head>/i) || [])[1] || content;
+
+  const titleMatch = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (titleMatch && metadata.title === undefined) {
+    metadata.title = htmlToText(titleMatch[1]);
+  }
+
+  for (const tag of head.match(/<meta\b[^>]*>/gi) || []) {
+    const name = (getAttribute(tag, 'name') || '').toLowerCase();
+    const key = META_FIELDS[name];
+    const value = getAttribute(tag, 'content');
+    if (!key || value === null || metadata[key] !== undefined) continue;
+
+    metadata[key] = key === 'tags'
+      ? value.split(',').map(item => item.trim()).filter(item => item.length > 0)
+      : decodeEntities(value);
+  }
+
+  const bodyMatch = content.match(/<body[^>]*>([\s\S]*?)(?:<\/body>|$)/i);
+  const body = bodyMatch
+    ? bodyMatch[1]
+    : content
+      .replace(/<!DOCTYPE[^>]*>/i, '')
+      .replace(/<head[^>]*>[\s\S]*?<\/head>/i, '')
+      .replace(/<\/?html[^>]*>/gi, '');
+
+  return { metadata, body: body.trim(), error };
+}
+
+/**
+ * Sanitize an HTML body and give every heading an anchor id
+ * Existing heading ids are kept; the others get the same slugs as Markdown headings.
+ * @param {string} body - Body markup from parseHtmlDocument
+ * @returns {{html: string, headings: Array<{level: number, text: string, id: string}>}}
+ */
+export function renderHtml(body) {
+  const headings = [];
+  const usedIds = new Map();
+
+  const html = sanitizeContentHtml(body).replace(
+    /<h([1-6])((?:\s[^>]*)?)>([\s\S]*?)<\/h\1>/gi,
+    (match, level, attributes, inner) => {
+      const text = htmlToText(inner);
+      let id = getAttribute(`<h${level}${attributes}>`, 'id');
+
+      if (!id) {
+        const baseId = slugify(text) || 'section';
+        const count = usedIds.get(baseId) || 0;
+        id = count === 0 ? baseId : `${baseId}-${count}`;
+        attributes = `${attributes} id="${id}"`;
+      }
+      usedIds.set(id, (usedIds.get(id) || 0) + 1);
+
+      headings.push({ level: Number(level), text, id });
+      return `<h${level}${attributes}>${inner}</h${level}>`;
+    }
+  );
+
+  return { html, headings };
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with tags removed, entities decoded and whitespace collapsed
+ */
+export function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read an attribute of an HTML start tag
+ * @param {string} tag - Start tag markup
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value, entities not decoded
+ */
+export function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return match[1] ?? match[2] ?? match[3];
+}
+
+/**
+ * Decode the HTML entities that commonly appear in titles, headings and attribute values
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => fromCodePoint(Number(code), match))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => fromCodePoint(parseInt(code, 16), match))
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Character for a numeric entity, or the entity itself if the code point is invalid
+ * @param {number} code - Code point
+ * @param {string} entity - Original entity
+ * @returns {string} Character
+ */
+function fromCodePoint(code, entity) {
+  return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+}
@@ -0,0 +1,595 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { Marked } from 'marked';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+import { extractHeadings } from './markdown.service.js';
+import { parseHtmlDocument, renderHtml, htmlToText, getAttribute, decodeEntities } from './html.service.js';
+import { splitFrontmatter } from './metadata.service.js';
+import { isHiddenPath, parentOf, resolveContentPath } from '../utils/path.utils.js';
+import { isContentFile } from '../utils/file.utils.js';
+
+const LOG = createLogger('LinkService');
+
+// Lexer only; links are read from the tokens, nothing is rendered
+const markdownLexer = new Marked({ gfm: true });
+
+// Names of directory landing pages, never reported as orphans
+const LANDING_PAGE_NAMES = ['index', 'readme'];
+
+// Longest context returned around a backlink, in characters
+const MAX_CONTEXT_LENGTH = 200;
+
+// Link graph of CONTENT_DIR, built on first use and refreshed after content changes
+// { [documentPath]: { links: Array<Link>, anchors: Set<string>, mtime: number, size: number } }
+let linkGraph = null;
+
+// Pending build or refresh; graph updates run one at a time
+let graphUpdate = Promise.resolve();
+
+/**
+ * Build the link graph of the content tree
+ * Every indexed document is parsed for links, images and anchor targets.
+ * @returns {Promise<Map<string, {links: Array<Object>, anchors: Set<string>}>>} Entries by document path;
+ *   links are `{type: 'link'|'image', url, text, context, line, target, anchor, reason}` where `target`
+ *   is the resolved path (null for external URLs and broken links) and `reason` explains why a link
+ *   is broken
+ */
+export async function buildLinkGraph() {
+  const graph = new Map();
+
+  for (const document of ContentIndex.listDocuments()) {
+    graph.set(document.path, await readDocumentEntry(document));
+  }
+
+  await resolveGraphLinks(graph);
+  return graph;
+}
+
+/**
+ * Get the shared link graph, building it on first use
+ * @returns {Promise<Map<string, {links: Array<Object>, anchors: Set<string>}>>} Entries by document path
+ */
+export async function getLinkGraph() {
+  if (!linkGraph) {
+    await queueGraphUpdate(async () => {
+      if (linkGraph) return;
+
+      const startTime = Date.now();
+      linkGraph = await buildLinkGraph();
+      LOG.info(`Link graph built: ${linkGraph.size} documents in ${Date.now() - startTime}ms`);
+    });
+  }
+  return linkGraph;
+}
+
+/**
+ * Bring the shared link graph in line with the content index after a change
+ * Documents that were added or whose modification time or size changed are parsed again and their
+ * links resolved, and removed documents are dropped. A change can also break or repair links of
+ * other documents: those pointing at a changed path, at one of its parent directories or below it
+ * are resolved again. Does nothing until the graph has been built.
+ * @param {Array<string>} [changedPaths] - Changed paths relative to CONTENT_DIR; every link is
+ *   resolved again when omitted or when the root changed
+ * @returns {Promise<void>}
+ */
+export async function refreshLinkGraph(changedPaths) {
+  await queueGraphUpdate(async () => {
+    if (!linkGraph) return;
+
+    for (const documentPath of [...linkGraph.keys()]) {
+      if (!ContentIndex.getDocument(documentPath)) linkGraph.delete(documentPath);
+    }
+
+    const reparsed = new Set();
+    for (const document of ContentIndex.listDocuments()) {
+      const entry = linkGraph.get(document.path);
+      if (!entry || entry.mtime !== document.mtime.getTime() || entry.size !== document.size) {
+        linkGraph.set(document.path, await readDocumentEntry(document));
+        reparsed.add(document.path);
+        LOG.debug(`Updated links of ${document.path}`);
+      }
+    }
+
+    if (!changedPaths || changedPaths.includes('')) {
+      await resolveGraphLinks(linkGraph);
+      return;
+    }
+
+    const isAffected = affectedBy(changedPaths);
+    let resolved = 0;
+    for (const [documentPath, entry] of linkGraph) {
+      for (const link of entry.links) {
+        if (reparsed.has(documentPath) || isAffected(link)) {
+          Object.assign(link, await resolveLink(link));
+          resolved++;
+        }
+      }
+    }
+    LOG.debug(`Resolved ${resolved} links after changes to ${changedPaths.join(', ')}`);
+  });
+}
+
+/**
+ * Find the documents linking to a document, directory or asset
+ * @param {string} targetPath - Normalized path relative to CONTENT_DIR; documents may omit their extension
+ * @param {Object} [principal] - Caller, as returned by the auth middleware; sources it may not see are left out
+ * @returns {Promise<{path: string, backlinks: Array<Object>, error?: string, details?: string}>}
+ *   Backlinks `{source, title, type, text, context, line, anchor}` ordered by source and line
+ */
+export async function findBacklinks(targetPath, principal) {
+  try {
+    if (!targetPath) {
+      return {
+        error: 'Missing document path',
+        details: 'The path parameter is required',
+        backlinks: []
+      };
+    }
+
+    const resolvedPath = await resolveTargetPath(targetPath);
+    if (resolvedPath === null || !AccessService.canAccessPath(principal, resolvedPath)) {
+      LOG.warn(`Backlinks target not found: ${targetPath}`);
+      return {
+        error: 'Document not found',
+        details: `The document at path '${targetPath}' does not exist`,
+        backlinks: []
+      };
+    }
+
+    const graph = await getLinkGraph();
+    const backlinks = [];
+
+    for (const [source, entry] of graph) {
+      if (source === resolvedPath || !AccessService.canAccessDocument(principal, source)) continue;
+
+      for (const link of entry.links) {
+        if (link.target !== resolvedPath) continue;
+        backlinks.push({
+          source,
+          title: ContentIndex.getDocument(source)?.title || source,
+          type: link.type,
+          text: link.text,
+          context: link.context,
+          line: link.line,
+          anchor: link.anchor
+        });
+      }
+    }
+
+    backlinks.sort((a, b) => a.source.localeCompare(b.source) || a.line - b.line);
+
+    LOG.debug(`Found ${backlinks.length} backlinks to ${resolvedPath}`);
+    return { path: resolvedPath, backlinks };
+  } catch (error) {
+    LOG.error(`Error finding backlinks for ${targetPath}:`, error);
+    return {
+      error: 'Failed to find backlinks',
+      details: error.message,
+      backlinks: []
+    };
+  }
+}
+
+/**
+ * Check every internal link of the content tree
+ * Reports links to missing documents and files, anchors missing from their target document, and
+ * documents no other document links to. Only documents the principal may see are checked and reported.
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - Caller, as returned by the auth middleware; omitted, every
+ *   document is checked (command-line use)
+ * @param {boolean} [options.includeOrphans=true] - Whether orphan pages are reported
+ * @returns {Promise<Object>} Report `{checkedAt, documents, links, brokenLinks, missingAnchors, orphans, ok}`,
+ *   or `{error, details}`
+ */
+export async function checkLinks({ principal, includeOrphans = true } = {}) {
+  try {
+    const startTime = Date.now();
+    const graph = await getLinkGraph();
+
+    const brokenLinks = [];
+    const missingAnchors = [];
+    const linkedPaths = new Set();
+    let documentCount = 0;
+    let linkCount = 0;
+
+    for (const [source, entry] of graph) {
+      const visible = isVisible(principal, source);
+
+      for (const link of entry.links) {
+        if (link.target && link.target !== source) linkedPaths.add(link.target);
+        if (!visible || link.external) continue;
+
+        linkCount++;
+        if (link.reason) {
+          brokenLinks.push({ source, line: link.line, target: link.url, type: link.type, reason: link.reason });
+        } else if (link.anchor && graph.has(link.target) && !graph.get(link.target).anchors.has(link.anchor)) {
+          missingAnchors.push({ source, line: link.line, target: link.url, anchor: link.anchor });
+        }
+      }
+
+      if (visible) documentCount++;
+    }
+
+    const orphans = includeOrphans
+      ? ContentIndex.listDocuments()
+        .filter(document => !linkedPaths.has(document.path) && !isLandingPage(document)
+          && isVisible(principal, document))
+        .map(document => ({ path: document.path, title: document.title }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+      : [];
+
+    LOG.info(`Checked ${linkCount} links in ${documentCount} documents in ${Date.now() - startTime}ms: ${brokenLinks.length} broken, ${missingAnchors.length} missing anchors, ${orphans.length} orphans`);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      documents: documentCount,
+      links: linkCount,
+      brokenLinks,
+      missingAnchors,
+      orphans,
+      ok: brokenLinks.length === 0 && missingAnchors.length === 0 && orphans.length === 0
+    };
+  } catch (error) {
+    LOG.error('Error checking links:', error);
+    return {
+      error: 'Failed to check links',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Run a graph update after the pending ones
+ * @param {Function} update - async () => void
+ * @returns {Promise<void>}
+ */
+function queueGraphUpdate(update) {
+  graphUpdate = graphUpdate.then(update).catch(error => {
+    LOG.error('Error updating link graph:', error);
+  });
+  return graphUpdate;
+}
+
+/**
+ * Resolve the target of every link of a graph
+ * @param {Map<string, {links: Array<Object>}>} graph - Link graph
+ * @returns {Promise<void>}
+ */
+async function resolveGraphLinks(graph) {
+  for (const entry of graph.values()) {
+    for (const link of entry.links) {
+      Object.assign(link, await resolveLink(link));
+    }
+  }
+}
+
+/**
+ * Predicate telling whether the resolution of a link may have changed with a set of paths
+ * @param {Array<string>} changedPaths - Changed paths relative to CONTENT_DIR
+ * @returns {function(Object): boolean} True for links pointing at a changed path (with or without
+ *   its extension), at one of its parent directories, or below a changed directory
+ */
+function affectedBy(changedPaths) {
+  const paths = new Set();
+  for (const changedPath of changedPaths) {
+    for (let current = changedPath; current; current = parentOf(current)) {
+      paths.add(current);
+      if (isContentFile(current)) paths.add(current.slice(0, -path.posix.extname(current).length));
+    }
+  }
+
+  return (link) => {
+    const { path: targetPath } = parseLinkTarget(link);
+    if (!targetPath) return false;
+    return paths.has(targetPath) || changedPaths.some(changedPath => targetPath.startsWith(`${changedPath}/`));
+  };
+}
+
+/**
+ * Build the graph entry of a document
+ * Unreadable documents get an entry without links, so that they are not retried until they change.
+ * @param {Object} document - Content index entry
+ * @returns {Promise<{links: Array<Object>, anchors: Set<string>, mtime: number, size: number}>}
+ */
+async function readDocumentEntry(document) {
+  const versionInfo = { mtime: document.mtime.getTime(), size: document.size };
+  try {
+    return { ...await parseDocumentLinks(document), ...versionInfo };
+  } catch (error) {
+    LOG.error(`Error reading links of ${document.path}:`, error);
+    return { links: [], anchors: new Set(), ...versionInfo };
+  }
+}
+
+/**
+ * Read a document and collect its links and anchor targets
+ * @param {Object} document - Content index entry
+ * @returns {Promise<{links: Array<Object>, anchors: Set<string>}>}
+ */
+async function parseDocumentLinks(document) {
+  const raw = await fs.readFile(path.join(CONTENT_DIR, document.path), 'utf8');
+  const lines = raw.split('\n');
+  const withSource = (link) => ({
+    ...link,
+    source: document.path,
+    context: lineContext(lines[link.line - 1] || '', link.text)
+  });
+
+  if (document.extension === '.html') {
+    const { body } = parseHtmlDocument(raw);
+    const anchors = new Set([...renderHtml(body).headings.map(heading => heading.id), ...collectHtmlIds(body)]);
+    return { links: collectHtmlLinks(raw, 0).map(withSource), anchors };
+  }
+
+  // Front-matter is skipped before lexing; line numbers are shifted accordingly
+  const { content: markdown, lineOffset } = splitFrontmatter(raw);
+
+  const anchors = new Set([...extractHeadings(markdown).map(heading => heading.id), ...collectHtmlIds(markdown)]);
+  return { links: collectMarkdownLinks(markdown, lineOffset).map(withSource), anchors };
+}
+
+/**
+ * Collect the links and images of a Markdown document
+ * Inline links, reference links and raw <a>/<img> tags are included; code is ignored.
+ * @param {string} markdown - Markdown content without front-matter
+ * @param {number} lineOffset - Number of lines before the content in the file
+ * @returns {Array<{type: string, url: string, text: string, line: number}>}
+ */
+function collectMarkdownLinks(markdown, lineOffset) {
+  const links = [];
+  let cursor = 0;
+
+  // Tokens come in document order; their raw text is searched from the previous match to get a line
+  const locate = (raw) => {
+    const index = markdown.indexOf(raw, cursor);
+    if (index === -1) return lineOffset + countLines(markdown.slice(0, cursor)) + 1;
+    cursor = index;
+    return lineOffset + countLines(markdown.slice(0, index)) + 1;
+  };
+
+  markdownLexer.walkTokens(markdownLexer.lexer(markdown), (token) => {
+    if (token.type === 'link' || token.type === 'image') {
+      links.push({
+        type: token.type,
+        url: token.href,
+        text: token.type === 'image' ? token.text : htmlToText(token.text),
+        line: locate(token.raw)
+      });
+    } else if (token.type === 'html') {
+      const line = locate(token.raw);
+      links.push(...collectHtmlLinks(token.raw, line - 1));
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Collect the <a href> and <img src> references of an HTML fragment
+ * @param {string} html - HTML markup
+ * @param {number} lineOffset - Number of lines before the markup in the file
+ * @returns {Array<{type: string, url: string, text: string, line: number}>}
+ */
+function collectHtmlLinks(html, lineOffset) {
+  const links = [];
+  const tagPattern = /<(a|img)\b[^>]*>/gi;
+  let match;
+
+  while ((match = tagPattern.exec(html)) !== null) {
+    const isImage = match[1].toLowerCase() === 'img';
+    const url = getAttribute(match[0], isImage ? 'src' : 'href');
+    if (url === null) continue;
+
+    const text = isImage
+      ? getAttribute(match[0], 'alt') || ''
+      : htmlToText((html.slice(tagPattern.lastIndex).match(/^([\s\S]*?)<\/a>/i) || ['', ''])[1]);
+
+    links.push({
+      type: isImage ? 'image' : 'link',
+      url: decodeEntities(url),
+      text,
+      line: lineOffset + countLines(html.slice(0, match.index)) + 1
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Collect the id and name attributes usable as anchors in an HTML fragment
+ * @param {string} html - HTML markup
+ * @returns {Array<string>} Anchor names
+ */
+function collectHtmlIds(html) {
+  const ids = [];
+  for (const tag of html.match(/<[a-z][^>]*\s(?:id|name)\s*=[^>]*>/gi) || []) {
+    const id = getAttribute(tag, 'id') ?? (/^<a\b/i.test(tag) ? getAttribute(tag, 'name') : null);
+    if (id) ids.push(decodeEntities(id));
+  }
+  return ids;
+}
+
+/**
+ * Resolve the target of a link
+ * External URLs (any scheme, protocol-relative) are not checked. Paths starting with '/' are
+ * relative to CONTENT_DIR, or to the assets base URL; other paths to the linking document.
+ * Paths without an extension may name a document without its extension or a directory.
+ * @param {{url: string, source: string}} link - Link as collected from its document
+ * @returns {Promise<{external?: boolean, target: string|null, anchor: string|null, reason: string|null}>}
+ */
+async function resolveLink(link) {
+  const { external, path: resolved, anchor, reason } = parseLinkTarget(link);
+  if (external) {
+    return { external: true, target: null, anchor: null, reason: null };
+  }
+  if (reason) {
+    return { target: null, anchor, reason };
+  }
+  if (resolved === link.source) {
+    return { target: resolved, anchor, reason: null };
+  }
+  if (resolved === '') {
+    return { target: '', anchor: null, reason: null };
+  }
+
+  if (isContentFile(resolved)) {
+    return ContentIndex.getDocument(resolved)
+      ? { target: resolved, anchor, reason: null }
+      : { target: null, anchor, reason: 'Document not found' };
+  }
+
+  if (!path.posix.extname(resolved)) {
+    for (const extension of config.contentExtensions) {
+      if (ContentIndex.getDocument(`${resolved}${extension}`)) {
+        return { target: `${resolved}${extension}`, anchor, reason: null };
+      }
+    }
+    if (ContentIndex.getDirectory(resolved)) {
+      return { target: resolved, anchor: null, reason: null };
+    }
+  }
+
+  return await fileExists(resolved)
+    ? { target: resolved, anchor: null, reason: null }
+    : { target: null, anchor, reason: path.posix.extname(resolved) ? 'File not found' : 'Document not found' };
+}
+
+/**
+ * Path a link points at, without looking it up
+ * @param {{url: string, source: string}} link - Link as collected from its document
+ * @returns {{external?: boolean, path?: string, anchor?: string|null, reason?: string}} Normalized
+ *   path relative to CONTENT_DIR (the source itself for same-document anchors, '' for the root) and
+ *   anchor, `external` for URLs that are not checked, or the reason the URL cannot point anywhere
+ */
+function parseLinkTarget({ url, source }) {
+  const trimmed = (url || '').trim();
+  if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) || trimmed.startsWith('//')) {
+    return { external: true };
+  }
+
+  const hashIndex = trimmed.indexOf('#');
+  const pathPart = (hashIndex === -1 ? trimmed : trimmed.slice(0, hashIndex)).replace(/\?.*$/, '');
+  const fragment = hashIndex === -1 ? '' : trimmed.slice(hashIndex + 1);
+
+  let decodedPath;
+  let anchor;
+  try {
+    decodedPath = decodeURIComponent(pathPart);
+    anchor = fragment ? decodeURIComponent(fragment) : null;
+  } catch (error) {
+    return { anchor: null, reason: 'Malformed URL encoding' };
+  }
+
+  // Same-document anchor
+  if (!decodedPath) {
+    return { path: source, anchor };
+  }
+
+  const assetsBase = config.assets.baseUrl.replace(/\/+$/, '');
+  let basePath = path.posix.dirname(source);
+  if (decodedPath.startsWith(`${assetsBase}/`)) {
+    decodedPath = decodedPath.slice(assetsBase.length);
+  }
+  if (decodedPath.startsWith('/')) {
+    basePath = '';
+  }
+
+  const resolved = path.posix.normalize(path.posix.join(basePath === '.' ? '' : basePath, decodedPath))
+    .replace(/^\/+|\/+$/g, '');
+  if (resolved === '..' || resolved.startsWith('../')) {
+    return { anchor, reason: 'Target is outside the content directory' };
+  }
+  return { path: resolved === '.' ? '' : resolved, anchor };
+}
+
+/**
+ * Resolve the path a backlinks request is about
+ * @param {string} targetPath - Normalized path relative to CONTENT_DIR
+ * @returns {Promise<string|null>} Path of the document (extension added if omitted), directory or
+ *   file, or null if nothing exists there
+ */
+async function resolveTargetPath(targetPath) {
+  if (ContentIndex.getDocument(targetPath) || ContentIndex.getDirectory(targetPath)) return targetPath;
+
+  if (!path.posix.extname(targetPath)) {
+    const extension = config.contentExtensions.find(ext => ContentIndex.getDocument(`${targetPath}${ext}`));
+    if (extension) return `${targetPath}${extension}`;
+  }
+
+  return !isHiddenPath(targetPath) && !isContentFile(targetPath) && await fileExists(targetPath) ? targetPath : null;
+}
+
+/**
+ * Plain-text context of a link: its source line without Markdown link syntax and tags
+ * Long lines are cut to MAX_CONTEXT_LENGTH characters around the link text.
+ * @param {string} line - Source line holding the link
+ * @param {string} text - Link text
+ * @returns {string} Context
+ */
+function lineContext(line, text) {
+  const context = htmlToText(line
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/!?\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+    .replace(/^\s{0,3}(?:#{1,6}\s+|[-*+>]\s+|\d+[.)]\s+)/, ''));
+  if (context.length <= MAX_CONTEXT_LENGTH) return context;
+
+  const position = Math.max(0, context.indexOf(text));
+  const start = Math.max(0, Math.min(position - MAX_CONTEXT_LENGTH / 2, context.length - MAX_CONTEXT_LENGTH));
+  return `${start > 0 ? '…' : ''}${context.slice(start, start + MAX_CONTEXT_LENGTH).trim()}${start + MAX_CONTEXT_LENGTH < context.length ? '…' : ''}`;
+}
+
+/**
+ * Check whether a file exists inside CONTENT_DIR
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {Promise<boolean>} True for a regular file that does not resolve outside CONTENT_DIR
+ */
+async function fileExists(relativePath) {
+  try {
+    const { fullPath, exists } = await resolveContentPath(relativePath);
+    if (!exists) return false;
+    return (await fs.stat(fullPath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a document is part of the report
+ * @param {Object} [principal] - Caller, or undefined when every document is checked
+ * @param {string|Object} document - Document path or index entry
+ * @returns {boolean} True if the document is reported
+ */
+function isVisible(principal, document) {
+  return !principal || AccessService.canAccessDocument(principal, document);
+}
+
+/**
+ * Check whether a document is the landing page of its directory
+ * Landing pages are reached through the directory itself, so nothing has to link to them.
+ * @param {Object} document - Content index entry
+ * @returns {boolean} True for index/README documents and the directory's declared `index`/`default`
+ */
+function isLandingPage(document) {
+  const baseName = path.posix.basename(document.name, document.extension).toLowerCase();
+  if (LANDING_PAGE_NAMES.includes(baseName)) return true;
+
+  const metadata = ContentIndex.getDirectory(parentOf(document.path))?.metadata || {};
+  const declared = metadata.index || metadata.default;
+  if (typeof declared !== 'string') return false;
+
+  const declaredName = declared.trim();
+  return declaredName === document.name || declaredName === path.posix.basename(document.name, document.extension);
+}
+
+/**
+ * Count the line breaks of a string
+ * @param {string} text - Text
+ * @returns {number} Number of '\n'
+ */
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
@@ -0,0 +1,111 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Marked instance rendering headings with their precomputed anchor ids
+const markdownRenderer = new Marked({
+  gfm: true,
+  renderer: {
+    heading({ tokens, depth, id }) {
+      return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+    }
+  }
+});
+
+// Tags and attributes allowed in rendered HTML
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'del', 'input']),
+  allowedAttributes: {
+    ...sanitizeHtml.defaults.allowedAttributes,
+    '*': ['id', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  }
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * Headings get the same anchor ids as returned by extractHeadings.
+ * @param {string} markdown - Markdown content (without frontmatter)
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(markdown) {
+  const tokens = markdownRenderer.lexer(markdown);
+  assignHeadingIds(tokens);
+  return sanitizeContentHtml(markdownRenderer.parser(tokens));
+}
+
+/**
+ * Sanitize HTML before it is sent to clients
+ * Scripts, styles, event handler attributes and javascript: URLs are removed.
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeContentHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+/**
+ * Extract the headings of a Markdown document
+ * @param {string} markdown - Markdown content (without frontmatter)
+ * @returns {Array<{level: number, text: string, id: string}>} Headings in document order
+ */
+export function extractHeadings(markdown) {
+  return assignHeadingIds(markdownRenderer.lexer(markdown));
+}
+
+/**
+ * Build a URL-safe anchor slug from heading text
+ * Lowercases, drops punctuation and joins words with hyphens (GitHub style).
+ * @param {string} text - Heading text
+ * @returns {string} Slug
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Compute a unique anchor id for every heading token
+ * Duplicate slugs get a numeric suffix (-1, -2, ...) in document order.
+ * @param {Array} tokens - Marked tokens
+ * @returns {Array<{level: number, text: string, id: string}>} Headings in document order
+ */
+function assignHeadingIds(tokens) {
+  const headings = [];
+  const usedIds = new Map();
+
+  markdownRenderer.walkTokens(tokens, (token) => {
+    if (token.type !== 'heading') return;
+
+    const text = inlineText(token.tokens).trim();
+    const baseId = slugify(text) || 'section';
+    const count = usedIds.get(baseId) || 0;
+    const id = count === 0 ? baseId : `${baseId}-${count}`;
+    usedIds.set(baseId, count + 1);
+
+    token.id = id;
+    headings.push({ level: token.depth, text, id });
+  });
+
+  return headings;
+}
+
+/**
+ * Get the plain text of inline tokens
+ * @param {Array} tokens - Inline Marked tokens
+ * @returns {string} Plain text
+ */
+function inlineText(tokens = []) {
+  return tokens
+    .map(token => (token.tokens ? inlineText(token.tokens) : (token.type === 'html' ? '' : token.text || '')))
+    .join('');
+}
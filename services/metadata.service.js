@@ -0,0 +1,384 @@
+import path from 'path';
+import yaml from 'yaml';
+import * as toml from 'smol-toml';
+
+/**
+ * Parsing of document front-matter and directory .metadata files
+ *
+ * Every endpoint reads metadata through this module, so that a file reports the same metadata
+ * everywhere. Front-matter is a block at the very start of a document, in one of three formats:
+ * - YAML between --- fences
+ * - TOML between +++ fences
+ * - JSON: an object whose closing } stands on a line of its own
+ * HTML documents hold the same block in a leading comment (<!-- --- ... --- -->), optionally after a
+ * doctype. CRLF line endings and a byte order mark are accepted. .metadata files are YAML (or JSON).
+ */
+
+// Opening fence of each format; JSON has none, its source starts with the {
+const FENCES = [
+  { format: 'yaml', opening: /^---[ \t]*\r?\n/, closing: '---' },
+  { format: 'toml', opening: /^\+\+\+[ \t]*\r?\n/, closing: '\\+\\+\\+' },
+  { format: 'json', opening: /^(?=\{)/, closing: '\\}' }
+];
+
+// What may precede the front-matter comment of an HTML document
+const HTML_PREFIX = /^\s*(?:<!DOCTYPE[^>]*>\s*)?<!--[ \t]*(?:\r?\n)?/i;
+
+/**
+ * Error raised for metadata that cannot be parsed
+ */
+export class MetadataError extends Error {
+  /**
+   * @param {string} message - Problem, without position
+   * @param {number|null} [line] - 1-based line in the parsed source
+   * @param {number|null} [column] - 1-based column in the parsed source
+   */
+  constructor(message, line = null, column = null) {
+    super(message);
+    this.name = 'MetadataError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Locate the front-matter block of a document
+ * @param {string} raw - Raw file content
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - Look for the block in a leading HTML comment
+ * @returns {{format: string|null, source: string|null, sourceStart: number|null, content: string,
+ *   openingLine: number, startLine: number, lineOffset: number, unterminated: boolean}} Format and
+ *   source of the block (null without a block) with the index of the source in the file, the content
+ *   after it, the lines of the opening fence and of the first source line, and the number of lines
+ *   before the content. An unterminated block leaves the whole file as content.
+ */
+export function splitFrontmatter(raw, { html = false } = {}) {
+  const noBlock = { format: null, source: null, sourceStart: null, content: raw, openingLine: 1, startLine: 1, lineOffset: 0, unterminated: false };
+
+  let offset = raw.startsWith('\uFEFF') ? 1 : 0;
+  let openingLine = 1;
+  if (html) {
+    const prefix = raw.slice(offset).match(HTML_PREFIX);
+    if (!prefix) return noBlock;
+    openingLine += countLines(prefix[0].slice(0, prefix[0].indexOf('<!--')));
+    offset += prefix[0].length;
+  }
+
+  const rest = raw.slice(offset);
+  const fence = FENCES.find(candidate => candidate.opening.test(rest));
+  if (!fence) return noBlock;
+
+  const opening = rest.match(fence.opening)[0];
+  const closing = new RegExp(`^${fence.closing}${html ? '\\s*-->' : '[ \\t]*\\r?$'}`, 'm');
+  const blockStart = offset + opening.length;
+  const closingMatch = raw.slice(blockStart).match(closing);
+  if (!closingMatch) return { ...noBlock, format: fence.format, openingLine, unterminated: true };
+
+  const closingStart = blockStart + closingMatch.index;
+  const source = fence.format === 'json'
+    ? raw.slice(blockStart, closingStart + closingMatch[0].length).replace(/\s*-->$/, '')
+    : raw.slice(blockStart, closingStart);
+
+  const end = closingStart + closingMatch[0].length;
+  const content = raw.slice(end).replace(/^\r?\n/, '');
+
+  return {
+    format: fence.format,
+    source,
+    sourceStart: blockStart,
+    content,
+    openingLine,
+    startLine: countLines(raw.slice(0, blockStart)) + 1,
+    lineOffset: countLines(raw.slice(0, raw.length - content.length)),
+    unterminated: false
+  };
+}
+
+/**
+ * Parse the front-matter of a document
+ * @param {string} raw - Raw file content
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - Look for the block in a leading HTML comment
+ * @returns {{metadata: Object|null, format: string|null, content: string, lineOffset: number,
+ *   error: MetadataError|null}} Fields as written (null without a block or when it cannot be parsed),
+ *   the content after the block, and the parse error with its line in the file
+ */
+export function parseFrontmatter(raw, { html = false } = {}) {
+  const block = splitFrontmatter(raw, { html });
+  const result = { metadata: null, format: block.format, content: block.content, lineOffset: block.lineOffset, error: null };
+
+  if (block.unterminated) {
+    result.error = new MetadataError(`Front-matter is not closed${html ? ' before -->' : ''}`, block.openingLine);
+    return result;
+  }
+  if (block.source === null) return result;
+
+  try {
+    result.metadata = parseMetadataSource(block.source, block.format);
+  } catch (error) {
+    result.error = new MetadataError(
+      error.message,
+      error.line ? block.startLine + error.line - 1 : block.openingLine,
+      error.column ?? null
+    );
+  }
+  return result;
+}
+
+/**
+ * Parse a metadata source
+ * @param {string} source - YAML, TOML or JSON source
+ * @param {string} format - 'yaml', 'toml' or 'json'
+ * @returns {Object} Fields; dates are returned as ISO 8601 strings, as YAML gives them
+ * @throws {MetadataError} If the source is malformed or not a mapping
+ */
+export function parseMetadataSource(source, format) {
+  const text = source.replace(/\r\n/g, '\n');
+  let data;
+
+  if (format === 'toml') {
+    try {
+      data = toml.parse(text);
+    } catch (error) {
+      throw new MetadataError(error.message.split('\n')[0], error.line ?? null, error.column ?? null);
+    }
+  } else if (format === 'json') {
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      const position = Number((error.message.match(/at position (\d+)/) || [])[1]);
+      throw new MetadataError(
+        error.message.replace(/ in JSON at position \d+.*$/, ''),
+        Number.isNaN(position) ? null : countLines(text.slice(0, position)) + 1
+      );
+    }
+  } else {
+    const lineCounter = new yaml.LineCounter();
+    const document = yaml.parseDocument(text, { lineCounter });
+    if (document.errors.length > 0) {
+      const [error] = document.errors;
+      // Errors found at the end of the source (such as an unclosed bracket) belong to its last line
+      const position = lineCounter.linePos(error.pos[0]);
+      const lastLine = countLines(text.trimEnd()) + 1;
+      throw new MetadataError(
+        error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+        Math.min(position.line, lastLine),
+        position.line <= lastLine ? position.col : null
+      );
+    }
+    data = document.toJS();
+  }
+
+  if (data === null || data === undefined) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new MetadataError('Metadata must be a mapping of field names to values', 1);
+  }
+  return toPlainValue(data);
+}
+
+/**
+ * Parse a directory .metadata file
+ * @param {string} raw - File content
+ * @returns {Object} Fields
+ * @throws {MetadataError} If the file is malformed or not a mapping
+ */
+export function parseMetadataFile(raw) {
+  return parseMetadataSource(raw.replace(/^\uFEFF/, ''), 'yaml');
+}
+
+/**
+ * Build a front-matter block
+ * @param {Object} metadata - Fields
+ * @param {string} [format='yaml'] - 'yaml', 'toml' or 'json'
+ * @returns {string} Block, fences included, ending with a newline
+ */
+export function serializeFrontmatter(metadata, format = 'yaml') {
+  if (format === 'toml') return `+++\n${serializeSource(metadata, 'toml')}+++\n`;
+  if (format === 'json') return `${serializeSource(metadata, 'json')}\n`;
+  return `---\n${serializeSource(metadata, 'yaml')}---\n`;
+}
+
+/**
+ * Add a front-matter block to a document that has none
+ * Markdown gets it at the top of the file; HTML in a comment, after the doctype if there is one.
+ * @param {string} raw - Raw file content, without front-matter
+ * @param {string} block - Block built by serializeFrontmatter
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - The document is HTML
+ * @returns {string} Raw file content
+ */
+export function insertFrontmatter(raw, block, { html = false } = {}) {
+  const bom = raw.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const body = raw.slice(bom.length);
+
+  if (!html) return `${bom}${block}\n${body.replace(/^(\r?\n)+/, '')}`;
+
+  const doctype = (body.match(/^\s*<!DOCTYPE[^>]*>[ \t]*(?:\r?\n)?/i) || [''])[0];
+  return `${bom}${doctype}<!--\n${block}-->\n${body.slice(doctype.length).replace(/^(\r?\n)+/, '')}`;
+}
+
+/**
+ * Change fields of a document's front-matter in place
+ * YAML blocks are edited node by node, so that comments, key order and the style of the other
+ * values are kept; TOML and JSON blocks are rewritten in their format. A document without a block
+ * gets a YAML one (see insertFrontmatter). The rest of the file is left untouched.
+ * @param {string} raw - Raw file content
+ * @param {Object} changes - Fields to set; null removes a field
+ * @param {Object} [options]
+ * @param {boolean} [options.html=false] - Look for the block in a leading HTML comment
+ * @returns {{raw: string, metadata: Object}} New raw content and the resulting fields
+ * @throws {MetadataError} If the current front-matter cannot be parsed
+ */
+export function editFrontmatter(raw, changes, { html = false } = {}) {
+  const { metadata, error } = parseFrontmatter(raw, { html });
+  if (error) throw error;
+
+  const updated = { ...metadata };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+  }
+
+  const block = splitFrontmatter(raw, { html });
+  if (block.source === null) {
+    return {
+      raw: Object.keys(updated).length > 0 ? insertFrontmatter(raw, serializeFrontmatter(updated), { html }) : raw,
+      metadata: updated
+    };
+  }
+
+  const source = block.format === 'yaml'
+    ? editYamlSource(block.source, changes)
+    : serializeSource(updated, block.format);
+  const end = block.sourceStart + block.source.length;
+  return { raw: `${raw.slice(0, block.sourceStart)}${source}${raw.slice(end)}`, metadata: updated };
+}
+
+/**
+ * Change fields of a directory .metadata file in place, keeping comments and formatting
+ * @param {string|null} raw - File content (null or empty for a new file)
+ * @param {Object} changes - Fields to set; null removes a field
+ * @returns {string} New file content
+ * @throws {MetadataError} If the file is malformed or not a mapping
+ */
+export function editMetadataFile(raw, changes) {
+  parseMetadataFile(raw || '');
+  return editYamlSource((raw || '').replace(/^\uFEFF/, ''), changes);
+}
+
+/**
+ * Metadata of a document as returned by the API: the title falls back to the file name and
+ * tags are a list of strings
+ * @param {Object|null} metadata - Parsed fields
+ * @param {string} filePath - Path of the document
+ * @returns {Object} Normalized copy
+ */
+export function normalizeMetadata(metadata, filePath) {
+  const normalized = { ...metadata };
+
+  normalized.title = typeof normalized.title === 'string' && normalized.title.trim()
+    ? normalized.title.trim()
+    : titleFromFilename(filePath);
+
+  if (normalized.tags !== undefined) {
+    normalized.tags = normalizeList(normalized.tags);
+  }
+
+  return normalized;
+}
+
+/**
+ * Title derived from a file or directory name
+ * @param {string} filePath - Path or name
+ * @returns {string} Name without extension, dashes and underscores turned into spaces, capitalized
+ */
+export function titleFromFilename(filePath) {
+  const name = path.posix.basename(filePath);
+  return path.posix.basename(name, path.posix.extname(name))
+    .replace(/[-_]/g, ' ')
+    .replace(/\b\w/g, l => l.toUpperCase());
+}
+
+/**
+ * Normalize a list field (tags, categories...) to trimmed strings
+ * Accepts arrays, comma-separated strings and single scalar values.
+ * @param {*} value - Raw field value
+ * @returns {Array<string>} Values, empty ones left out
+ */
+export function normalizeList(value) {
+  let items;
+  if (Array.isArray(value)) items = value;
+  else if (typeof value === 'string') items = value.split(',');
+  else if (['number', 'boolean'].includes(typeof value)) items = [value];
+  else items = [];
+
+  return items
+    .filter(item => item !== null && typeof item !== 'object')
+    .map(item => String(item).trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Set and remove fields of a valid YAML mapping, node by node
+ * @param {string} source - YAML source
+ * @param {Object} changes - Fields to set; null removes a field
+ * @returns {string} Edited source, with the line endings of the original
+ */
+function editYamlSource(source, changes) {
+  const document = yaml.parseDocument(source.replace(/\r\n/g, '\n'));
+
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      document.delete(key);
+    } else {
+      document.set(key, value);
+    }
+  }
+
+  const edited = yaml.isMap(document.contents) && document.contents.items.length > 0
+    ? document.toString({ flowCollectionPadding: false })
+    : '';
+  return source.includes('\r\n') ? edited.replace(/\n/g, '\r\n') : edited;
+}
+
+/**
+ * Serialize fields as the source of a metadata block, without fences
+ * @param {Object} metadata - Fields
+ * @param {string} format - 'yaml', 'toml' or 'json'
+ * @returns {string} Source
+ */
+function serializeSource(metadata, format) {
+  if (format === 'toml') return toml.stringify(metadata).replace(/\n*$/, '\n');
+  if (format === 'json') return JSON.stringify(metadata, null, 2);
+  return yaml.stringify(metadata);
+}
+
+/**
+ * Copy parsed data into plain objects, turning dates into ISO 8601 strings
+ * (TOML returns null-prototype tables and date objects)
+ * @param {*} value - Parsed value
+ * @returns {*} Plain value
+ */
+function toPlainValue(value) {
+  if (value instanceof Date) {
+    // TOML dates print in their original form (e.g. a local date stays YYYY-MM-DD)
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Number of line breaks in a text
+ * @param {string} text - Text
+ * @returns {number} Line count
+ */
+function countLines(text) {
+  return text.split('\n').length - 1;
+}
@@ -0,0 +1,129 @@
+import path from 'path';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as StructureService from './structure.service.js';
+import * as ContentIndex from './content-index.service.js';
+import { normalizeMetadata } from './metadata.service.js';
+
+const LOG = createLogger('NavigationService');
+
+/**
+ * Get the previous and next documents in sidebar order, plus the breadcrumb chain
+ * Only documents the principal may see take part in the sequence.
+ * @param {string} documentPath - Path of the current document relative to CONTENT_DIR
+ * @param {Object} [principal] - Caller, as returned by the auth middleware
+ * @returns {Promise<{path: string, previous: Object|null, next: Object|null, breadcrumbs: Array<Object>, error?: string, details?: string}>}
+ */
+export async function getNavigation(documentPath, principal) {
+  try {
+    if (!documentPath) {
+      LOG.warn('Missing document path');
+      return {
+        error: 'Missing document path',
+        details: 'The path parameter is required'
+      };
+    }
+
+    const normalizedPath = documentPath
+      .replace(/\\/g, '/')
+      .replace(/^\/+|\/+$/g, '');
+
+    // Walk the whole tree in the same order as the sidebar
+    const tree = StructureService.listDirectory('', config.structure.maxDepth, principal);
+    const documents = flattenDocuments(tree);
+
+    // Accept the path with or without its extension
+    const index = documents.findIndex(doc =>
+      doc.path === normalizedPath || stripExtension(doc.path) === normalizedPath
+    );
+
+    if (index === -1) {
+      LOG.warn(`Document not found in navigation: ${normalizedPath}`);
+      return {
+        error: 'Document not found',
+        details: `The document at path '${normalizedPath}' does not exist`
+      };
+    }
+
+    const current = documents[index];
+
+    return {
+      path: current.path,
+      title: current.title,
+      previous: index > 0 ? toLink(documents[index - 1]) : null,
+      next: index < documents.length - 1 ? toLink(documents[index + 1]) : null,
+      breadcrumbs: buildBreadcrumbs(current.path)
+    };
+  } catch (error) {
+    LOG.error('Error building navigation:', error);
+    return {
+      error: 'Failed to build navigation',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Flatten a directory tree into the list of documents in sidebar order
+ * @param {Array<Object>} items - Sorted items with nested children
+ * @returns {Array<{path: string, title: string}>} Documents
+ */
+function flattenDocuments(items) {
+  const documents = [];
+
+  for (const item of items) {
+    if (item.isDirectory) {
+      documents.push(...flattenDocuments(item.children || []));
+    } else {
+      documents.push({
+        path: item.path,
+        title: normalizeMetadata(item.metadata, item.path).title
+      });
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Build the chain of ancestor directories with their .metadata titles
+ * @param {string} documentPath - Path of the current document
+ * @returns {Array<{name: string, path: string, title: string}>} Breadcrumbs from the root down
+ */
+function buildBreadcrumbs(documentPath) {
+  const segments = documentPath.split('/').slice(0, -1);
+  const breadcrumbs = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    const dirPath = segments.slice(0, i + 1).join('/');
+    const metadata = ContentIndex.getDirectory(dirPath)?.metadata || {};
+
+    breadcrumbs.push({
+      name: segments[i],
+      path: dirPath,
+      title: normalizeMetadata(metadata, dirPath).title,
+      ...(metadata.icon && { icon: metadata.icon })
+    });
+  }
+
+  return breadcrumbs;
+}
+
+/**
+ * Link to a document as returned to clients
+ * @param {{path: string, title: string}} doc - Document
+ * @returns {{path: string, title: string}} Link
+ */
+function toLink(doc) {
+  return { path: doc.path, title: doc.title };
+}
+
+/**
+ * Remove the extension from a path
+ * @param {string} filePath - Path
+ * @returns {string} Path without extension
+ */
+function stripExtension(filePath) {
+  const extension = path.posix.extname(filePath);
+  return extension ? filePath.slice(0, -extension.length) : filePath;
+}
@@ -0,0 +1,98 @@
+import { createLogger } from '../logger.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+
+const LOG = createLogger('PublicationService');
+
+/**
+ * Publication state of documents
+ *
+ * Writers stage pages with front-matter fields:
+ * - `draft: true` keeps a document unpublished
+ * - `publishDate` keeps it unpublished until that date
+ * - `expiryDate` unpublishes it from that date on
+ * Dates are ISO 8601; a date without a time stands for midnight UTC. Invalid dates are ignored
+ * (the front-matter diagnostics report them). Unpublished documents are hidden like documents the
+ * caller may not access, except in preview mode (see AccessService.canAccessDocument).
+ */
+
+/**
+ * Publication state of a document
+ * @param {Object} document - Content index entry (with its frontmatter)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{state: string, publishDate: Date|null, expiryDate: Date|null}} State ('draft',
+ *   'scheduled', 'expired' or 'published') and the dates read from the front-matter
+ */
+export function getPublicationState(document, now = new Date()) {
+  const frontmatter = document?.frontmatter || {};
+  const publishDate = parseDate(frontmatter.publishDate);
+  const expiryDate = parseDate(frontmatter.expiryDate);
+
+  let state = 'published';
+  if (frontmatter.draft === true || frontmatter.draft === 'true') state = 'draft';
+  else if (publishDate && publishDate > now) state = 'scheduled';
+  else if (expiryDate && expiryDate <= now) state = 'expired';
+
+  return { state, publishDate, expiryDate };
+}
+
+/**
+ * Check whether a document is published
+ * @param {Object} document - Content index entry (with its frontmatter)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} True if the document is neither a draft, scheduled nor expired
+ */
+export function isPublished(document, now = new Date()) {
+  return getPublicationState(document, now).state === 'published';
+}
+
+/**
+ * List the documents waiting for publication
+ * @param {Object} [options]
+ * @param {Object} [options.principal] - Caller; only the documents it may see (published or not) are
+ *   listed (all documents when omitted)
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {{generatedAt: string, scheduled: Array<Object>, expiring: Array<Object>, drafts: Array<Object>}}
+ *   Scheduled documents `{path, title, publishDate, expiryDate}` by publication date, published
+ *   documents with an expiry date `{path, title, expiryDate}` by expiry date, and drafts `{path, title}`
+ */
+export function listSchedule({ principal, now = new Date() } = {}) {
+  const viewer = principal && { ...principal, preview: true };
+  const scheduled = [];
+  const expiring = [];
+  const drafts = [];
+
+  for (const document of ContentIndex.listDocuments()) {
+    if (viewer && !AccessService.canAccessDocument(viewer, document)) continue;
+
+    const { state, publishDate, expiryDate } = getPublicationState(document, now);
+    const entry = { path: document.path, title: document.title };
+
+    if (state === 'draft') {
+      drafts.push(entry);
+    } else if (state === 'scheduled') {
+      scheduled.push({ ...entry, publishDate: publishDate.toISOString(), expiryDate: expiryDate?.toISOString() ?? null });
+    } else if (state === 'published' && expiryDate) {
+      expiring.push({ ...entry, expiryDate: expiryDate.toISOString() });
+    }
+  }
+
+  scheduled.sort((a, b) => a.publishDate.localeCompare(b.publishDate) || a.path.localeCompare(b.path));
+  expiring.sort((a, b) => a.expiryDate.localeCompare(b.expiryDate) || a.path.localeCompare(b.path));
+  drafts.sort((a, b) => a.path.localeCompare(b.path));
+
+  LOG.debug(`Publication schedule: ${scheduled.length} scheduled, ${expiring.length} expiring, ${drafts.length} drafts`);
+  return { generatedAt: now.toISOString(), scheduled, expiring, drafts };
+}
+
+/**
+ * Parse a publication date
+ * @param {*} value - Front-matter value
+ * @returns {Date|null} Date, or null if the value is missing or not a date
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : new Date(time);
+}
@@ -1,24 +1,30 @@
-import fs from 'fs/promises';
 import path from 'path';
-import matter from 'gray-matter';
-import { CONTENT_DIR } from '../server.js';
 import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+import { normalizeList } from './metadata.service.js';
 
 const LOG = createLogger('RelatedService');
 
 // Simple in-memory cache for related documents
 // Structure: { [documentPath]: { timestamp: Date, data: Array<RelatedDoc>, ttl: number } }
+// `data` holds every related document with its full path, before access filtering and limiting
 const relatedDocsCache = new Map();
 const DEFAULT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
 
+// Words ignored when comparing titles
+const TITLE_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'how', 'what', 'why', 'from', 'into', 'your', 'our', 'are', 'use', 'using']);
+
 /**
- * Find documents related to the current document based on tags.
+ * Find documents related to the current document based on front-matter and location.
  * @param {string} documentPath - Path of the document to find related documents for
  * @param {number} limit - Maximum number of related documents to return
  * @param {boolean} skipCache - Whether to skip the cache
+ * @param {Object} [principal] - Caller, as returned by the auth middleware; documents it may not see are left out
  * @returns {Promise<{related: Array, fromCache: boolean, error?: string, details?: string}>} Object containing related documents and metadata
  */
-export async function findRelatedDocumentsForPath(documentPath, limit = 5, skipCache = false) {
+export async function findRelatedDocumentsForPath(documentPath, limit = 5, skipCache = false, principal) {
   try {
     LOG.debug(`Getting related documents for path: ${documentPath}, limit: ${limit}, skipCache: ${skipCache}`);
     
@@ -31,63 +37,39 @@ export async function findRelatedDocumentsForPath(documentPath, limit = 5, skipC
       };
     }
     
-    // Normalize the path to ensure consistent handling
-    // Replace backslashes, remove leading/trailing slashes, and ensure .md extension
-    let normalizedPath = documentPath
+    // Replace backslashes and remove leading/trailing slashes; the extension may be omitted
+    const requestedPath = documentPath
       .replace(/\\/g, '/')
       .replace(/^\/+|\/+$/g, '');
     
-    if (!normalizedPath.endsWith('.md')) {
-      normalizedPath = `${normalizedPath}.md`;
+    // Look the document up in the content index; documents the caller may not see are reported as missing
+    const currentDocument = findDocument(requestedPath);
+    if (!currentDocument || !AccessService.canAccessDocument(principal, currentDocument)) {
+      LOG.warn(`Document not found: ${requestedPath}`);
+      return { 
+        error: 'Document not found', 
+        details: `The document at path '${requestedPath}' does not exist`,
+        related: [] 
+      };
     }
     
-    LOG.debug(`Normalized document path: ${normalizedPath}`);
+    const normalizedPath = currentDocument.path;
+    LOG.debug(`Resolved document path: ${normalizedPath}`);
     
     // Check cache first if not skipping
     if (!skipCache) {
-      const cachedResult = getCachedRelatedDocs(normalizedPath, limit);
+      const cachedResult = getCachedRelatedDocs(normalizedPath);
       if (cachedResult) {
         LOG.debug(`Cache hit for ${normalizedPath}`);
         return {
-          related: cachedResult,
+          related: filterVisible(cachedResult, principal).slice(0, limit).map(toResult),
           fromCache: true
         };
       }
     }
     
-    // Get the directory containing the current document
-    const documentDir = path.dirname(normalizedPath);
-    const fullDocumentPath = path.join(CONTENT_DIR, normalizedPath);
-    
-    try {
-      // Check if the document exists
-      await fs.access(fullDocumentPath);
-    } catch (error) {
-      LOG.warn(`Document not found: ${fullDocumentPath}`);
-      return { 
-        error: 'Document not found', 
-        details: `The document at path '${normalizedPath}' does not exist`,
-        related: [] 
-      };
-    }
-    
-    // Get metadata from the current document
-    let currentDocMetadata = {};
-    try {
-      const content = await fs.readFile(fullDocumentPath, 'utf-8');
-      const { data } = matter(content);
-      currentDocMetadata = data || {};
-    } catch (error) {
-      LOG.warn(`Error reading current document metadata: ${error.message}`);
-    }
-    
     // Find related documents
-    const relatedDocs = await findRelatedDocuments(
-      normalizedPath,
-      documentDir,
-      currentDocMetadata,
-      limit
-    );
+    const relatedDocs = findRelatedDocuments(currentDocument);
     
     LOG.info(`Found ${relatedDocs.length} related documents`);
     
@@ -95,7 +77,7 @@ export async function findRelatedDocumentsForPath(documentPath, limit = 5, skipC
     cacheRelatedDocs(normalizedPath, relatedDocs);
     
     return {
-      related: relatedDocs,
+      related: filterVisible(relatedDocs, principal).slice(0, limit).map(toResult),
       fromCache: false
     };
   } catch (error) {
@@ -108,13 +90,47 @@ export async function findRelatedDocumentsForPath(documentPath, limit = 5, skipC
   }
 }
 
+/**
+ * Find an indexed document by path, with or without its extension
+ * Extensions are tried in the order of config.contentExtensions.
+ * @param {string} documentPath - Path relative to CONTENT_DIR
+ * @returns {Object|null} Content index entry
+ */
+function findDocument(documentPath) {
+  const document = ContentIndex.getDocument(documentPath);
+  if (document || path.posix.extname(documentPath)) return document;
+
+  const extension = config.contentExtensions.find(ext => ContentIndex.getDocument(`${documentPath}${ext}`));
+  return extension ? ContentIndex.getDocument(`${documentPath}${extension}`) : null;
+}
+
+/**
+ * Keep the related documents a principal may see
+ * @param {Array<Object>} relatedDocs - Related documents (full paths)
+ * @param {Object} [principal] - Caller, as returned by the auth middleware
+ * @returns {Array<Object>} Visible related documents
+ */
+function filterVisible(relatedDocs, principal) {
+  return relatedDocs.filter(doc => AccessService.canAccessDocument(principal, doc.path));
+}
+
+/**
+ * Related document as returned to clients
+ * Markdown paths are returned without their extension, as the frontend expects; other documents
+ * keep theirs.
+ * @param {Object} doc - Related document (full path)
+ * @returns {{path: string, title: string, relevance: number, reasons: Array<Object>}} Result
+ */
+function toResult(doc) {
+  return { ...doc, path: doc.path.replace(/\.md$/i, '') };
+}
+
 /**
  * Get cached related documents if available and not expired
  * @param {string} documentPath - Path of the document
- * @param {number} limit - Maximum number of related documents to return
  * @returns {Array|null} Array of related documents or null if not cached
  */
-function getCachedRelatedDocs(documentPath, limit) {
+function getCachedRelatedDocs(documentPath) {
   const cacheEntry = relatedDocsCache.get(documentPath);
   
   if (!cacheEntry) {
@@ -129,8 +145,7 @@ function getCachedRelatedDocs(documentPath, limit) {
     return null;
   }
   
-  // Return cached data limited to requested limit
-  return cacheEntry.data.slice(0, limit);
+  return cacheEntry.data;
 }
 
 /**
@@ -172,62 +187,62 @@ function cleanupCache() {
 }
 
 /**
- * Find documents related to the current document based on path similarity.
- * This is a simplified version that doesn't use front-matter.
- * @param {string} currentPath - Path of the current document
- * @param {string} documentDir - Directory containing the current document
- * @param {Object} currentMetadata - Metadata of the current document (unused in this implementation)
- * @param {number} limit - Maximum number of related documents to return
- * @returns {Promise<Array>} Array of related documents
+ * Remove all cached related documents
+ * Called when the content directory changes.
  */
-async function findRelatedDocuments(currentPath, documentDir, currentMetadata, limit) {
+export function clearRelatedCache() {
+  const size = relatedDocsCache.size;
+  relatedDocsCache.clear();
+  LOG.debug(`Related documents cache cleared (${size} entries)`);
+}
+
+/**
+ * Find documents related to the current document.
+ * Candidates are scored on explicit `related:` lists, shared tags, category,
+ * path distance and title-term overlap; every result lists the reasons it matched.
+ * A candidate needs at least one of the topical reasons: path distance only adds to its score.
+ * @param {Object} currentDocument - Content index entry of the current document
+ * @returns {Array<{path: string, title: string, relevance: number, reasons: Array<Object>}>} Related documents, most relevant first
+ */
+function findRelatedDocuments(currentDocument) {
   try {
     const relatedDocs = [];
     
-    // Get all markdown files in the same directory
-    const allMarkdownFiles = await getAllMarkdownFiles(documentDir || '.');
+    const allDocuments = ContentIndex.listDocuments();
     
-    // Get the current document's directory for path-based relevance
-    const currentDir = path.dirname(currentPath);
+    const current = {
+      path: currentDocument.path,
+      title: currentDocument.title,
+      metadata: currentDocument.frontmatter
+    };
     
-    // Process each file to check for path similarity
-    for (const filePath of allMarkdownFiles) {
-      // Skip the current document
-      const normalizedFilePath = filePath.replace(/\\/g, '/').replace(/\.md$/i, '');
-      const normalizedCurrentPath = currentPath.replace(/\\/g, '/').replace(/\.md$/i, '');
-      
-      if (normalizedFilePath === normalizedCurrentPath) {
-        LOG.debug(`Skipping current document: ${normalizedFilePath}`);
+    // Score each document against the current document
+    for (const doc of allDocuments) {
+      if (doc.path === current.path) {
+        LOG.debug(`Skipping current document: ${doc.path}`);
         continue;
       }
       
-      try {
-        const fileDir = path.dirname(filePath);
-        
-        // Calculate relevance based on directory depth similarity
-        // Files in the same directory are more relevant
-        const relevance = currentDir === fileDir ? 2 : 1;
-        
-        // Extract title from filename
-        const basename = path.basename(filePath, '.md');
-        const title = basename
-          .replace(/[-_]/g, ' ')
-          .replace(/\b\w/g, l => l.toUpperCase());
-        
-        relatedDocs.push({
-          path: normalizedFilePath,
-          title: title,
-          relevance: relevance
-        });
-      } catch (error) {
-        LOG.warn(`Error processing file ${filePath}:`, error);
-      }
+      const candidate = {
+        path: doc.path,
+        title: doc.title,
+        metadata: doc.frontmatter
+      };
+      
+      const { relevance, reasons } = scoreCandidate(current, candidate);
+      if (relevance <= 0) continue;
+      
+      relatedDocs.push({
+        path: doc.path,
+        title: doc.title,
+        relevance: Math.round(relevance * 100) / 100,
+        reasons
+      });
     }
     
-    // Sort by relevance (highest first) and limit results
+    // Sort by relevance (highest first); callers filter and limit
     return relatedDocs
-      .sort((a, b) => b.relevance - a.relevance)
-      .slice(0, limit);
+      .sort((a, b) => b.relevance - a.relevance || a.path.localeCompare(b.path));
       
   } catch (error) {
     LOG.error('Error finding related documents:', error);
@@ -236,30 +251,121 @@ async function findRelatedDocuments(currentPath, documentDir, currentMetadata, l
 }
 
 /**
- * Recursively get all markdown files in a directory
- * @param {string} dir - Directory to search in
- * @returns {Promise<Array<string>>} Array of relative file paths
+ * Score a candidate document against the current document
+ * @param {{path: string, title: string, metadata: Object}} current - Current document
+ * @param {{path: string, title: string, metadata: Object}} candidate - Candidate document
+ * @returns {{relevance: number, reasons: Array<Object>}} Score and matching reasons
  */
-async function getAllMarkdownFiles(dir) {
-  const results = [];
-  const items = await fs.readdir(path.join(CONTENT_DIR, dir), { withFileTypes: true });
+function scoreCandidate(current, candidate) {
+  const weights = config.related.weights;
+  const reasons = [];
+  let relevance = 0;
   
-  for (const item of items) {
-    // Use path.posix.join to ensure forward slashes are used
-    const relativePath = path.posix.join(
-      dir.replace(/\\/g, '/'), 
-      item.name
-    );
-    
-    if (item.isDirectory()) {
-      // Recursively get files in subdirectories
-      const subDirFiles = await getAllMarkdownFiles(relativePath);
-      results.push(...subDirFiles);
-    } else if (item.isFile() && item.name.endsWith('.md')) {
-      // Add markdown files with forward slashes
-      results.push(relativePath.replace(/\\/g, '/'));
-    }
+  // Explicit `related:` entries, in either direction
+  const linksTo = resolveRelatedList(current.path, current.metadata.related).includes(candidate.path);
+  const linkedFrom = resolveRelatedList(candidate.path, candidate.metadata.related).includes(current.path);
+  if (linksTo || linkedFrom) {
+    relevance += weights.explicit;
+    reasons.push({ type: 'explicit', direction: linksTo && linkedFrom ? 'both' : (linksTo ? 'outgoing' : 'incoming') });
+  }
+  
+  // Shared tags
+  const candidateTags = normalizeTerms(candidate.metadata.tags);
+  const sharedTags = normalizeTerms(current.metadata.tags)
+    .filter(tag => candidateTags.includes(tag));
+  if (sharedTags.length > 0) {
+    relevance += sharedTags.length * weights.tag;
+    reasons.push({ type: 'tags', shared: sharedTags });
+  }
+  
+  // Same category
+  const currentCategory = normalizeTerms(current.metadata.category)[0];
+  if (currentCategory && currentCategory === normalizeTerms(candidate.metadata.category)[0]) {
+    relevance += weights.category;
+    reasons.push({ type: 'category', category: currentCategory });
   }
   
-  return results;
-}
\ No newline at end of file
+  // Title-term overlap
+  const candidateTerms = titleTerms(candidate.title);
+  const sharedTerms = titleTerms(current.title).filter(term => candidateTerms.includes(term));
+  if (sharedTerms.length > 0) {
+    relevance += sharedTerms.length * weights.titleTerm;
+    reasons.push({ type: 'title', shared: sharedTerms });
+  }
+  
+  // Location alone does not make documents related
+  if (reasons.length === 0) return { relevance: 0, reasons };
+  
+  // Path distance: documents close in the tree are more likely to be related
+  const distance = pathDistance(path.posix.dirname(current.path), path.posix.dirname(candidate.path));
+  relevance += weights.path / (1 + distance);
+  if (distance <= config.related.maxReportedDistance) {
+    reasons.push({ type: 'path', distance });
+  }
+  
+  return { relevance, reasons };
+}
+
+/**
+ * Resolve the `related:` front-matter entries of a document to content paths
+ * Entries may be relative to the document's directory or to the content root (leading slash),
+ * with or without their extension.
+ * @param {string} documentPath - Path of the document declaring the list
+ * @param {string|Array<string>|undefined} related - Raw `related` value
+ * @returns {Array<string>} Normalized paths of the indexed documents the entries name
+ */
+function resolveRelatedList(documentPath, related) {
+  const entries = typeof related === 'string' ? related.split(',') : (Array.isArray(related) ? related : []);
+  const documentDir = path.posix.dirname(documentPath);
+  
+  return entries
+    .map(entry => String(entry).trim().replace(/\\/g, '/'))
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const resolved = entry.startsWith('/')
+        ? path.posix.normalize(entry).replace(/^\/+/, '')
+        : path.posix.join(documentDir, entry);
+      return findDocument(resolved)?.path;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Number of directory steps between two directories
+ * @param {string} fromDir - First directory (relative, '.' for root)
+ * @param {string} toDir - Second directory (relative, '.' for root)
+ * @returns {number} Steps up plus steps down
+ */
+function pathDistance(fromDir, toDir) {
+  const from = fromDir === '.' ? [] : fromDir.split('/');
+  const to = toDir === '.' ? [] : toDir.split('/');
+  
+  let common = 0;
+  while (common < from.length && common < to.length && from[common] === to[common]) {
+    common++;
+  }
+  
+  return (from.length - common) + (to.length - common);
+}
+
+/**
+ * Normalize a front-matter list to lowercase strings, for comparisons
+ * @param {string|Array|undefined} value - Raw value
+ * @returns {Array<string>} Normalized values
+ */
+function normalizeTerms(value) {
+  return normalizeList(value).map(item => item.toLowerCase());
+}
+
+/**
+ * Significant lowercase words of a title
+ * @param {string} title - Document title
+ * @returns {Array<string>} Unique terms
+ */
+function titleTerms(title) {
+  const terms = title
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 2 && !TITLE_STOP_WORDS.has(term));
+  return [...new Set(terms)];
+}
@@ -0,0 +1,160 @@
+/**
+ * Validation of metadata objects against the field schemas of config/app.config.js
+ *
+ * A schema maps field names to rules:
+ * - `type`: 'string', 'number', 'integer', 'boolean', 'date', 'array' or 'object', or a list of them
+ * - `format`: accepted date formats, 'date' (YYYY-MM-DD) and/or 'date-time' (ISO 8601); both by default
+ * - `items`: type of the elements of an array
+ * - `separator`: a string value is a list of elements separated by it (e.g. `tags: a, b`)
+ * - `required`: the field must be present and not empty
+ * - `enum`: allowed values (for arrays and lists, allowed elements)
+ * Fields without a rule are accepted unless `additionalFields` is false.
+ */
+
+// Date formats accepted for 'date' fields given as strings
+const DATE_FORMATS = {
+  'date': /^(\d{4})-(\d{2})-(\d{2})$/,
+  'date-time': /^(\d{4})-(\d{2})-(\d{2})[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/
+};
+
+/**
+ * Validate an object against a schema
+ * @param {Object} data - Metadata to check
+ * @param {{fields: Object<string, Object>, additionalFields?: boolean}} schema - Schema
+ * @returns {Array<{field: string, message: string}>} Problems found, empty if the data is valid
+ */
+export function validateFields(data, schema) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return [{ field: '', message: 'Metadata must be a mapping of field names to values' }];
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = data[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors.push({ field, message: 'Field is required' });
+      continue;
+    }
+
+    errors.push(...validateValue(field, value, rule));
+  }
+
+  if (schema.additionalFields === false) {
+    for (const field of Object.keys(data)) {
+      if (!schema.fields[field]) errors.push({ field, message: 'Unknown field' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one value against its rule
+ * @param {string} field - Field name, for error reporting
+ * @param {*} value - Value, not empty
+ * @param {Object} rule - Field rule
+ * @returns {Array<{field: string, message: string}>} Problems found
+ */
+function validateValue(field, value, rule) {
+  const types = rule.type ? [].concat(rule.type) : null;
+  if (types && !types.some(type => hasType(value, type))) {
+    return [{ field, message: `Expected ${types.join(' or ')}, got ${describeType(value)}` }];
+  }
+
+  const errors = [];
+
+  const list = Array.isArray(value) ? value
+    : rule.separator && typeof value === 'string' ? value.split(rule.separator).map(item => item.trim()).filter(Boolean)
+      : null;
+
+  if (list) {
+    list.forEach((item, index) => {
+      if (rule.items && !hasType(item, rule.items)) {
+        errors.push({ field: `${field}[${index}]`, message: `Expected ${rule.items}, got ${describeType(item)}` });
+      } else if (rule.items === 'date' && !isValidDate(item, rule.format)) {
+        errors.push({ field: `${field}[${index}]`, message: describeDateFormat(rule.format) });
+      } else if (rule.enum && !rule.enum.includes(item)) {
+        errors.push({ field: `${field}[${index}]`, message: `'${item}' is not one of: ${rule.enum.join(', ')}` });
+      }
+    });
+  } else if (types?.includes('date') && hasType(value, 'date') && !isValidDate(value, rule.format)) {
+    errors.push({ field, message: describeDateFormat(rule.format) });
+  } else if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field, message: `'${value}' is not one of: ${rule.enum.join(', ')}` });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a date value against the accepted formats
+ * Strings must match one of the formats and name an existing day; parsed dates must be valid.
+ * @param {string|Date} value - Date value
+ * @param {string|Array<string>} [format] - Accepted formats (all when omitted)
+ * @returns {boolean} True if the date is valid
+ */
+function isValidDate(value, format) {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+
+  const formats = format ? [].concat(format) : Object.keys(DATE_FORMATS);
+  return formats.some(name => {
+    const match = DATE_FORMATS[name]?.exec(value);
+    if (!match) return false;
+
+    // Reject days that do not exist, such as 2024-02-30
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day && !Number.isNaN(Date.parse(value));
+  });
+}
+
+/**
+ * Error message for a date in the wrong format
+ * @param {string|Array<string>} [format] - Accepted formats
+ * @returns {string} Message
+ */
+function describeDateFormat(format) {
+  const formats = format ? [].concat(format) : Object.keys(DATE_FORMATS);
+  const examples = { 'date': 'YYYY-MM-DD', 'date-time': 'YYYY-MM-DDTHH:MM:SSZ' };
+  return `Expected a valid date (${formats.map(name => examples[name] || name).join(' or ')})`;
+}
+
+/**
+ * Check the type of a value
+ * @param {*} value - Value
+ * @param {string} type - Schema type name
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return value instanceof Date || typeof value === 'string';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Type name of a value for error messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
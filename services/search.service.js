@@ -0,0 +1,459 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+import * as HtmlService from './html.service.js';
+import { parseFrontmatter, normalizeMetadata } from './metadata.service.js';
+
+const LOG = createLogger('SearchService');
+
+// In-memory inverted index of the content directory, built on first use and updated incrementally
+// documents: { [path]: { path, title, tags, headings, body, terms } } (terms: the keys it is posted under)
+// terms: { [term]: { [path]: weightedFrequency } }
+const searchIndex = {
+  documents: new Map(),
+  terms: new Map(),
+  builtAt: null
+};
+
+// Pending index build, shared by concurrent requests
+let buildPromise = null;
+
+// Incremental updates are applied one at a time, after any pending build
+let updateQueue = Promise.resolve();
+
+/**
+ * Search the content directory
+ * @param {Object} options - Search options
+ * @param {string} options.query - Free-text query
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.pageSize] - Number of results per page
+ * @param {string} [options.dir] - Only return documents below this directory
+ * @param {Array<string>} [options.tags] - Only return documents carrying all of these tags
+ * @param {Object} [options.principal] - Caller, as returned by the auth middleware; documents it may not see are left out
+ * @returns {Promise<{query: string, total: number, page: number, pageSize: number, results: Array, error?: string, details?: string}>}
+ */
+export async function searchDocuments({ query, page = 1, pageSize, dir = '', tags = [], principal }) {
+  try {
+    const queryTerms = tokenize(query || '');
+
+    if (queryTerms.length === 0) {
+      LOG.warn('Missing search query');
+      return {
+        error: 'Missing query',
+        details: 'The q parameter is required and must contain at least one word',
+        results: []
+      };
+    }
+
+    await ensureIndex();
+
+    const size = Math.min(
+      Math.max(parseInt(pageSize, 10) || config.search.defaultPageSize, 1),
+      config.search.maxPageSize
+    );
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+    const dirPrefix = (dir || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    const requiredTags = tags.map(tag => tag.toLowerCase());
+
+    LOG.debug(`Searching for [${queryTerms.join(', ')}] in '${dirPrefix || 'root'}', tags: [${requiredTags.join(', ')}]`);
+
+    const scores = scoreDocuments(queryTerms);
+
+    const hits = [];
+    for (const [docPath, score] of scores.entries()) {
+      const doc = searchIndex.documents.get(docPath);
+
+      if (dirPrefix && !docPath.startsWith(`${dirPrefix}/`)) continue;
+      if (!AccessService.canAccessDocument(principal, docPath)) continue;
+      if (requiredTags.length > 0) {
+        const docTags = doc.tags.map(tag => tag.toLowerCase());
+        if (!requiredTags.every(tag => docTags.includes(tag))) continue;
+      }
+
+      hits.push({ doc, score });
+    }
+
+    hits.sort((a, b) => b.score - a.score || a.doc.path.localeCompare(b.doc.path));
+
+    const start = (currentPage - 1) * size;
+    const results = hits.slice(start, start + size).map(({ doc, score }) => ({
+      path: doc.path,
+      title: doc.title,
+      highlightedTitle: highlight(doc.title, queryTerms),
+      tags: doc.tags,
+      score: Math.round(score * 1000) / 1000,
+      snippet: buildSnippet(doc.body, queryTerms)
+    }));
+
+    LOG.info(`Search '${query}' matched ${hits.length} documents`);
+
+    return {
+      query,
+      total: hits.length,
+      page: currentPage,
+      pageSize: size,
+      results
+    };
+  } catch (error) {
+    LOG.error('Error searching documents:', error);
+    return {
+      error: 'Failed to search documents',
+      details: error.message,
+      results: []
+    };
+  }
+}
+
+/**
+ * Update the index after a file-system change
+ * The changed path is reindexed from the content index, which must already reflect the change;
+ * for a directory, every document below it is. Nothing is done before the first search builds the index.
+ * @param {{type: string, path: string}} event - Change event from the watcher service
+ * @returns {Promise<void>} Resolved once this change and the ones queued before it are applied
+ */
+export function updateSearchIndex(event) {
+  updateQueue = updateQueue.then(() => applyChange(event));
+  return updateQueue;
+}
+
+/**
+ * Reindex the documents at or below a changed path
+ * @param {{type: string, path: string}} event - Change event
+ * @returns {Promise<void>}
+ */
+async function applyChange(event) {
+  try {
+    if (buildPromise) await buildPromise;
+    if (!searchIndex.builtAt) return;
+
+    const changedPath = (event.path || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    // .metadata files hold no searchable text; access rules are checked at query time
+    if (path.posix.basename(changedPath) === '.metadata') return;
+
+    const isAffected = docPath => changedPath === '' || docPath === changedPath || docPath.startsWith(`${changedPath}/`);
+
+    // Read everything first, so that searches never see the documents half updated
+    const parsed = [];
+    for (const document of ContentIndex.listDocuments().filter(doc => isAffected(doc.path))) {
+      try {
+        const raw = await fs.readFile(path.join(CONTENT_DIR, document.path), 'utf8');
+        parsed.push(parseDocument(document.path, raw));
+      } catch (error) {
+        LOG.warn(`Error indexing file ${document.path}: ${error.message}`);
+      }
+    }
+
+    const removed = [...searchIndex.documents.keys()].filter(isAffected);
+    removed.forEach(removeFromIndex);
+    parsed.forEach(addToIndex);
+
+    LOG.debug(`Search index updated for ${changedPath || 'root'}: ${removed.length} removed, ${parsed.length} indexed`);
+  } catch (error) {
+    LOG.error(`Error updating search index for ${event.path}:`, error);
+  }
+}
+
+/**
+ * Build the index on first use
+ * @returns {Promise<void>}
+ */
+async function ensureIndex() {
+  if (searchIndex.builtAt) return;
+
+  if (!buildPromise) {
+    buildPromise = buildIndex().finally(() => {
+      buildPromise = null;
+    });
+  }
+
+  await buildPromise;
+}
+
+/**
+ * Index every content file below CONTENT_DIR
+ * @returns {Promise<void>}
+ */
+async function buildIndex() {
+  const startTime = Date.now();
+  const files = ContentIndex.listDocuments().map(doc => doc.path);
+
+  searchIndex.documents.clear();
+  searchIndex.terms.clear();
+
+  for (const filePath of files) {
+    try {
+      const raw = await fs.readFile(path.join(CONTENT_DIR, filePath), 'utf8');
+      addToIndex(parseDocument(filePath, raw));
+    } catch (error) {
+      LOG.warn(`Error indexing file ${filePath}: ${error.message}`);
+    }
+  }
+
+  searchIndex.builtAt = Date.now();
+  LOG.info(`Search index built: ${searchIndex.documents.size} documents, ${searchIndex.terms.size} terms in ${searchIndex.builtAt - startTime}ms`);
+}
+
+/**
+ * Add a parsed document to the inverted index
+ * @param {Object} doc - Parsed document
+ */
+function addToIndex(doc) {
+  doc.terms = new Set();
+  searchIndex.documents.set(doc.path, doc);
+
+  const weights = config.search.fieldWeights;
+  const fields = [
+    [doc.title, weights.title],
+    [doc.tags.join(' '), weights.tags],
+    [doc.headings.join(' '), weights.headings],
+    [doc.body, weights.body]
+  ];
+
+  for (const [text, weight] of fields) {
+    for (const term of tokenize(text)) {
+      let postings = searchIndex.terms.get(term);
+      if (!postings) {
+        postings = new Map();
+        searchIndex.terms.set(term, postings);
+      }
+      postings.set(doc.path, (postings.get(doc.path) || 0) + weight);
+      doc.terms.add(term);
+    }
+  }
+}
+
+/**
+ * Remove a document and its postings from the inverted index
+ * @param {string} docPath - Path relative to CONTENT_DIR
+ */
+function removeFromIndex(docPath) {
+  const doc = searchIndex.documents.get(docPath);
+  if (!doc) return;
+
+  for (const term of doc.terms) {
+    const postings = searchIndex.terms.get(term);
+    if (!postings) continue;
+
+    postings.delete(docPath);
+    if (postings.size === 0) searchIndex.terms.delete(term);
+  }
+
+  searchIndex.documents.delete(docPath);
+}
+
+/**
+ * Score documents containing every query term.
+ * The last term also matches as a prefix so that partially typed words find results.
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @returns {Map<string, number>} Document path to score
+ */
+function scoreDocuments(queryTerms) {
+  const totalDocs = searchIndex.documents.size;
+  let scores = null;
+
+  queryTerms.forEach((queryTerm, index) => {
+    const isLast = index === queryTerms.length - 1;
+    const termScores = new Map();
+
+    const matchingTerms = isLast
+      ? [...searchIndex.terms.keys()].filter(term => term.startsWith(queryTerm))
+      : (searchIndex.terms.has(queryTerm) ? [queryTerm] : []);
+
+    for (const term of matchingTerms) {
+      const postings = searchIndex.terms.get(term);
+      const idf = Math.log(1 + totalDocs / postings.size);
+      // Exact matches rank above prefix expansions
+      const exactness = term === queryTerm ? 1 : 0.5;
+
+      for (const [docPath, frequency] of postings.entries()) {
+        const score = (1 + Math.log(frequency)) * idf * exactness;
+        termScores.set(docPath, Math.max(termScores.get(docPath) || 0, score));
+      }
+    }
+
+    if (scores === null) {
+      scores = termScores;
+      return;
+    }
+
+    // Keep only documents matching all terms so far
+    const combined = new Map();
+    for (const [docPath, score] of scores.entries()) {
+      if (termScores.has(docPath)) {
+        combined.set(docPath, score + termScores.get(docPath));
+      }
+    }
+    scores = combined;
+  });
+
+  return scores || new Map();
+}
+
+/**
+ * Parse a content file into indexable fields
+ * @param {string} filePath - Path relative to CONTENT_DIR
+ * @param {string} raw - Raw file content
+ * @returns {{path: string, title: string, tags: Array<string>, headings: Array<string>, body: string}}
+ */
+function parseDocument(filePath, raw) {
+  if (path.extname(filePath).toLowerCase() === '.html') {
+    const { metadata, body, error } = HtmlService.parseHtmlDocument(raw);
+    if (error) LOG.warn(`Invalid front-matter in ${filePath} (line ${error.line}): ${error.message}`);
+    const { title, tags } = normalizeMetadata(metadata, filePath);
+    const { html, headings } = HtmlService.renderHtml(body);
+
+    return {
+      path: filePath,
+      title,
+      tags: tags || [],
+      headings: headings.map(heading => heading.text).filter(Boolean),
+      body: stripHtml(html)
+    };
+  }
+
+  const { metadata, content, error } = parseFrontmatter(raw);
+  if (error) LOG.warn(`Invalid front-matter in ${filePath} (line ${error.line}): ${error.message}`);
+  const { title, tags } = normalizeMetadata(metadata, filePath);
+
+  const headings = [];
+  let inCodeBlock = false;
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) inCodeBlock = !inCodeBlock;
+    if (inCodeBlock) continue;
+
+    const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) headings.push(stripMarkdown(headingMatch[1]));
+  }
+
+  return {
+    path: filePath,
+    title,
+    tags: tags || [],
+    headings,
+    body: stripMarkdown(content)
+  };
+}
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Convert Markdown to plain text for indexing and snippets
+ * @param {string} markdown - Markdown content
+ * @returns {string} Plain text
+ */
+function stripMarkdown(markdown) {
+  return markdown
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Links
+    .replace(/<[^>]+>/g, ' ') // Inline HTML
+    .replace(/^\s*(```|~~~).*$/gm, '') // Code fences
+    .replace(/[#>*_`~|]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Convert HTML to plain text for indexing and snippets
+ * @param {string} html - HTML content
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build a highlighted snippet around the first match
+ * @param {string} body - Plain text body
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @returns {string} HTML-escaped snippet with matches wrapped in <mark>
+ */
+function buildSnippet(body, queryTerms) {
+  const length = config.search.snippetLength;
+  const lowerBody = body.toLowerCase();
+
+  const positions = queryTerms
+    .map(term => lowerBody.indexOf(term))
+    .filter(position => position >= 0);
+  const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+  let start = Math.max(0, firstMatch - Math.floor(length / 2));
+  let end = Math.min(body.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Avoid cutting words in half
+  if (start > 0) {
+    const space = body.indexOf(' ', start);
+    if (space !== -1 && space < firstMatch) start = space + 1;
+  }
+  if (end < body.length) {
+    const space = body.lastIndexOf(' ', end);
+    if (space > firstMatch) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < body.length ? '…' : '';
+  return `${prefix}${highlight(body.slice(start, end), queryTerms)}${suffix}`;
+}
+
+/**
+ * Escape text and wrap words matching the query in <mark> tags
+ * @param {string} text - Plain text
+ * @param {Array<string>} queryTerms - Tokenized query
+ * @returns {string} Highlighted HTML
+ */
+function highlight(text, queryTerms) {
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(wordPattern)) {
+    const word = match[0].toLowerCase();
+    const isHit = queryTerms.includes(word) || word.startsWith(lastTerm);
+    if (!isHit) continue;
+
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,122 @@
+import { createLogger } from '../logger.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+
+const LOG = createLogger('StructureService');
+
+/**
+ * List the entries of a directory in sidebar order, from the content index
+ * Directories get a `children` array while depth allows it.
+ * Entries the principal is not allowed to see are left out.
+ * @param {string} contentPath - Directory path relative to CONTENT_DIR ('' for the root)
+ * @param {number} depth - Number of levels to list, including this one
+ * @param {Object} [principal] - Caller, as returned by the auth middleware
+ * @returns {Array<Object>} Sorted items
+ */
+export function listDirectory(contentPath, depth, principal) {
+  LOG.debug(`Listing directory: ${contentPath || 'root'}`);
+  
+  const entries = ContentIndex.listChildren(contentPath).filter(entry => entry.isDirectory
+    ? AccessService.canAccessDirectory(principal, entry.path)
+    : AccessService.canAccessDocument(principal, entry));
+  
+  const items = entries.map((entry) => {
+    const metadata = (entry.isDirectory ? entry.metadata : entry.frontmatter) || {};
+    
+    const item = {
+      name: entry.name,
+      path: entry.path,
+      isDirectory: entry.isDirectory,
+      size: entry.size,
+      lastModified: entry.mtime.toISOString(),
+      type: entry.isDirectory ? 'directory' : 'file',
+      metadata
+    };
+    
+    // Set order from .metadata or frontmatter if present
+    if (metadata.order !== undefined) {
+      item.order = Number(metadata.order) || 0;
+    }
+    
+    // List nested levels for tree requests
+    if (entry.isDirectory && depth > 1) {
+      item.children = listDirectory(entry.path, depth - 1, principal);
+    }
+    
+    return item;
+  });
+  
+  // Sort items
+  items.sort(compareItems);
+  
+  return items;
+}
+
+/**
+ * Compare two directory items in sidebar order
+ * By `order` (from .metadata or frontmatter) first, then directories before files, then by name.
+ * @param {Object} a - First item
+ * @param {Object} b - Second item
+ * @returns {number} Sort result
+ */
+export function compareItems(a, b) {
+  // First by order (if specified)
+  if (a.order !== undefined || b.order !== undefined) {
+    const aOrder = a.order !== undefined ? a.order : Number.MAX_SAFE_INTEGER;
+    const bOrder = b.order !== undefined ? b.order : Number.MAX_SAFE_INTEGER;
+    if (aOrder !== bOrder) {
+      return aOrder - bOrder;
+    }
+  }
+  
+  // Then by type (directories first)
+  if (a.isDirectory && !b.isDirectory) return -1;
+  if (!a.isDirectory && b.isDirectory) return 1;
+  
+  // Finally by name
+  return a.name.localeCompare(b.name);
+}
+
+/**
+ * Most recent modification date of a directory and the listed items
+ * @param {string} contentPath - Directory path relative to CONTENT_DIR
+ * @param {Array<Object>} items - Items returned by listDirectory, possibly nested
+ * @returns {Date|undefined} Last modification date
+ */
+export function getLastModified(contentPath, items) {
+  let latest = ContentIndex.getDirectory(contentPath)?.mtime?.getTime() || 0;
+  
+  const visit = (entries) => {
+    for (const item of entries) {
+      latest = Math.max(latest, Date.parse(item.lastModified));
+      if (item.children) visit(item.children);
+    }
+  };
+  visit(items);
+  
+  return latest ? new Date(latest) : undefined;
+}
+
+/**
+ * Compact description of a listing, used to derive its ETag without serializing it
+ * Covers every item's path, size and modification date, plus directory metadata
+ * (editing a .metadata file does not change the directory's mtime).
+ * @param {string} contentPath - Requested directory path
+ * @param {number} depth - Requested depth
+ * @param {Array<Object>} items - Items returned by listDirectory, possibly nested
+ * @returns {string} Fingerprint
+ */
+export function getFingerprint(contentPath, depth, items) {
+  const parts = [contentPath, String(depth)];
+  
+  const visit = (entries) => {
+    for (const item of entries) {
+      parts.push(`${item.path}|${item.size}|${item.lastModified}`);
+      if (item.isDirectory) parts.push(JSON.stringify(item.metadata));
+      if (item.children) visit(item.children);
+    }
+  };
+  visit(items);
+  
+  return parts.join('\n');
+}
@@ -0,0 +1,128 @@
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import * as ContentIndex from './content-index.service.js';
+import * as AccessService from './access.service.js';
+import { normalizeList } from './metadata.service.js';
+
+const LOG = createLogger('TaxonomyService');
+
+/**
+ * List every term of a taxonomy with its document count
+ * @param {string} taxonomy - Taxonomy name as configured in config.taxonomies
+ * @param {Object} [principal] - Caller, as returned by the auth middleware; only visible documents are counted
+ * @returns {Promise<{taxonomy: string, field: string, terms: Array<{name: string, count: number}>, count: number, error?: string, details?: string}>}
+ */
+export async function listTerms(taxonomy, principal) {
+  try {
+    if (!isTaxonomy(taxonomy)) {
+      return unknownTaxonomy(taxonomy);
+    }
+
+    const terms = collectTerms(taxonomy, principal);
+
+    const result = [...terms.values()]
+      .map(term => ({ name: term.name, count: term.documents.length }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    return {
+      taxonomy,
+      field: config.taxonomies[taxonomy],
+      terms: result,
+      count: result.length
+    };
+  } catch (error) {
+    LOG.error(`Error listing ${taxonomy} terms:`, error);
+    return {
+      error: 'Failed to list terms',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * List the documents carrying a taxonomy term
+ * @param {string} taxonomy - Taxonomy name as configured in config.taxonomies
+ * @param {string} term - Term to look up (case-insensitive)
+ * @param {Object} [principal] - Caller, as returned by the auth middleware; only visible documents are listed
+ * @returns {Promise<{taxonomy: string, term: string, documents: Array<{path: string, title: string}>, count: number, error?: string, details?: string}>}
+ */
+export async function listDocumentsForTerm(taxonomy, term, principal) {
+  try {
+    if (!isTaxonomy(taxonomy)) {
+      return unknownTaxonomy(taxonomy);
+    }
+
+    const entry = collectTerms(taxonomy, principal).get(term.trim().toLowerCase());
+
+    if (!entry) {
+      return {
+        error: 'Term not found',
+        details: `No document has '${term}' in ${config.taxonomies[taxonomy]}`
+      };
+    }
+
+    const documents = [...entry.documents].sort((a, b) => a.title.localeCompare(b.title));
+
+    return {
+      taxonomy,
+      term: entry.name,
+      documents,
+      count: documents.length
+    };
+  } catch (error) {
+    LOG.error(`Error listing documents for ${taxonomy} '${term}':`, error);
+    return {
+      error: 'Failed to list documents',
+      details: error.message
+    };
+  }
+}
+
+/**
+ * Check whether a name is a configured taxonomy
+ * @param {string} taxonomy - Taxonomy name
+ * @returns {boolean} True if configured
+ */
+export function isTaxonomy(taxonomy) {
+  return Object.prototype.hasOwnProperty.call(config.taxonomies, taxonomy);
+}
+
+/**
+ * Group the documents of the content index by the terms of a taxonomy
+ * @param {string} taxonomy - Taxonomy name
+ * @param {Object} [principal] - Caller; documents it may not see are skipped
+ * @returns {Map<string, {name: string, documents: Array<{path: string, title: string}>}>} Terms by lowercase name
+ */
+function collectTerms(taxonomy, principal) {
+  const field = config.taxonomies[taxonomy];
+  const terms = new Map();
+
+  for (const doc of ContentIndex.listDocuments()) {
+    if (!AccessService.canAccessDocument(principal, doc)) continue;
+
+    for (const name of normalizeList(doc.frontmatter[field])) {
+      const key = name.toLowerCase();
+      if (!terms.has(key)) {
+        terms.set(key, { name, documents: [] });
+      }
+      const entry = terms.get(key);
+      if (!entry.documents.some(entryDoc => entryDoc.path === doc.path)) {
+        entry.documents.push({ path: doc.path, title: doc.title });
+      }
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Error result for an unknown taxonomy
+ * @param {string} taxonomy - Requested taxonomy
+ * @returns {{error: string, details: string}}
+ */
+function unknownTaxonomy(taxonomy) {
+  return {
+    error: 'Unknown taxonomy',
+    details: `'${taxonomy}' is not one of: ${Object.keys(config.taxonomies).join(', ')}`
+  };
+}
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { CONTENT_DIR } from '../config/content-dir.js';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+
+const LOG = createLogger('WatcherService');
+
+// Emits 'change' events with a { type, path } payload as soon as a change is detected, and
+// 'indexed' events with the same payload once the server has applied it (see publishIndexedChange)
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected /api/events client
+
+// Active fs.FSWatcher, null when the watcher is stopped
+let watcher = null;
+
+// Paths known to exist, used to tell additions from modifications
+const knownPaths = new Set();
+
+// Pending debounce timers by relative path
+const pendingEvents = new Map();
+
+/**
+ * Start watching CONTENT_DIR for changes
+ * Does nothing if the watcher is disabled in the configuration or already running.
+ */
+export function startWatcher() {
+  if (!config.watcher.enabled || watcher) return;
+
+  try {
+    collectKnownPaths('');
+
+    watcher = fs.watch(CONTENT_DIR, { recursive: true }, (eventType, fileName) => {
+      if (!fileName) return;
+
+      const relativePath = fileName.toString().replace(/\\/g, '/');
+      if (!isWatchedPath(relativePath)) return;
+
+      scheduleEvent(relativePath);
+    });
+
+    watcher.on('error', (error) => {
+      LOG.error('Content watcher error:', error);
+    });
+
+    LOG.info(`Watching content directory: ${CONTENT_DIR} (${knownPaths.size} entries)`);
+  } catch (error) {
+    LOG.error('Unable to start content watcher:', error);
+    watcher = null;
+  }
+}
+
+/**
+ * Stop watching CONTENT_DIR
+ */
+export function stopWatcher() {
+  if (!watcher) return;
+
+  watcher.close();
+  watcher = null;
+
+  for (const timer of pendingEvents.values()) {
+    clearTimeout(timer);
+  }
+  pendingEvents.clear();
+  knownPaths.clear();
+
+  LOG.info('Content watcher stopped');
+}
+
+/**
+ * Check whether CONTENT_DIR is being watched
+ * @returns {boolean} False if the watcher is disabled, failed to start or was stopped
+ */
+export function isWatching() {
+  return watcher !== null;
+}
+
+/**
+ * Register a listener for content changes
+ * @param {function({type: 'added'|'changed'|'removed', path: string}): void} listener - Change listener
+ * @returns {function(): void} Function removing the listener
+ */
+export function onContentChange(listener) {
+  emitter.on('change', listener);
+  return () => emitter.off('change', listener);
+}
+
+/**
+ * Report a change once the content index and the caches reflect it
+ * @param {{type: string, path: string}} event - Change event received through onContentChange
+ * @param {Object|null} [document] - Index entry of the changed document: its new state, or for a
+ *   removal the state it had before, so that listeners can apply its access rules
+ */
+export function publishIndexedChange(event, document = null) {
+  emitter.emit('indexed', event, document);
+}
+
+/**
+ * Register a listener for changes already applied to the content index
+ * @param {function({type: string, path: string}, Object|null): void} listener - Change listener,
+ *   called with the event and the index entry of the changed document (null for other paths)
+ * @returns {function(): void} Function removing the listener
+ */
+export function onIndexedChange(listener) {
+  emitter.on('indexed', listener);
+  return () => emitter.off('indexed', listener);
+}
+
+/**
+ * Record every watched entry below a directory
+ * @param {string} relativeDir - Directory relative to CONTENT_DIR
+ */
+function collectKnownPaths(relativeDir) {
+  const entries = fs.readdirSync(path.join(CONTENT_DIR, relativeDir), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const relativePath = path.posix.join(relativeDir, entry.name);
+    if (!isWatchedPath(relativePath)) continue;
+
+    knownPaths.add(relativePath);
+    if (entry.isDirectory()) collectKnownPaths(relativePath);
+  }
+}
+
+/**
+ * Debounce file-system events for a path
+ * Editors usually trigger several events per save; only the final state is reported.
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ */
+function scheduleEvent(relativePath) {
+  clearTimeout(pendingEvents.get(relativePath));
+
+  pendingEvents.set(relativePath, setTimeout(() => {
+    pendingEvents.delete(relativePath);
+    emitEvent(relativePath);
+  }, config.watcher.debounceMs));
+}
+
+/**
+ * Determine the kind of change and notify listeners
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ */
+function emitEvent(relativePath) {
+  const fullPath = path.join(CONTENT_DIR, relativePath);
+  let type;
+
+  if (fs.existsSync(fullPath)) {
+    // Directories report a modification whenever one of their children changes
+    if (knownPaths.has(relativePath) && fs.statSync(fullPath).isDirectory()) return;
+
+    type = knownPaths.has(relativePath) ? 'changed' : 'added';
+    knownPaths.add(relativePath);
+  } else {
+    if (!knownPaths.has(relativePath)) return;
+    type = 'removed';
+
+    // Forget everything below a removed directory
+    for (const knownPath of knownPaths) {
+      if (knownPath === relativePath || knownPath.startsWith(`${relativePath}/`)) {
+        knownPaths.delete(knownPath);
+      }
+    }
+  }
+
+  LOG.debug(`Content ${type}: ${relativePath}`);
+  emitter.emit('change', { type, path: relativePath });
+}
+
+/**
+ * Check whether changes to a path should be reported
+ * Hidden entries (except .metadata files) and ignored directories are skipped.
+ * @param {string} relativePath - Path relative to CONTENT_DIR
+ * @returns {boolean} True if the path is watched
+ */
+function isWatchedPath(relativePath) {
+  return relativePath.split('/').every((segment, index, segments) => {
+    if (segment === '.metadata' && index === segments.length - 1) return true;
+    if (segment.startsWith('.')) return false;
+    return !config.ignoredDirectories.includes(segment);
+  });
+}
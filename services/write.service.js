@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'yaml';
+import { createLogger } from '../logger.js';
+import { config } from '../config/app.config.js';
+import { processContentChange } from './content-change.service.js';
+import {
+  editFrontmatter,
+  editMetadataFile,
+  insertFrontmatter,
+  parseFrontmatter,
+  parseMetadataFile,
+  serializeFrontmatter,
+  titleFromFilename
+} from './metadata.service.js';
+import { computeEtag } from '../utils/http.utils.js';
+import { isHiddenPath, resolveContentPath } from '../utils/path.utils.js';
+import { isContentFile } from '../utils/file.utils.js';
+
+const LOG = createLogger('WriteService');
+
+// Writes run one at a time, so that a precondition checked on a file still holds when it is written
+let writeQueue = Promise.resolve();
+
+/**
+ * Read the current version of a document for a write request
+ * @param {string} documentPath - Normalized path relative to CONTENT_DIR
+ * @returns {Promise<{fullPath: string, raw: string|null, etag: string|null}>} Raw content and its
+ *   ETag (as sent by GET /api/content), both null if the document does not exist
+ * @throws {PathError} If the path escapes CONTENT_DIR
+ */
+export async function readDocumentSource(documentPath) {
+  const { fullPath, exists } = await resolveContentPath(documentPath);
+  if (!exists) return { fullPath, raw: null, etag: null };
+
+  try {
+    const raw = await fs.readFile(fullPath, 'utf8');
+    return { fullPath, raw, etag: computeEtag(raw) };
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') return { fullPath, raw: null, etag: null };
+    throw error;
+  }
+}
+
+/**
+ * Check that a path can be created or changed through the write API
+ * @param {string} documentPath - Normalized path relative to CONTENT_DIR
+ * @returns {string|null} Reason the path is refused, or null if it is writable
+ */
+export function validateDocumentPath(documentPath) {
+  if (!documentPath) return 'A document path is required';
+
+  if (isHiddenPath(documentPath)) return 'Hidden files cannot be written';
+  if (documentPath.split('/').some(segment => config.ignoredDirectories.includes(segment))) return 'Ignored directories cannot be written';
+  if (!isContentFile(documentPath)) {
+    return `Only content files can be written (${config.contentExtensions.join(', ')})`;
+  }
+  return null;
+}
+
+/**
+ * Build the raw content of a document from its front-matter and body
+ * Markdown gets the block at the top of the file, HTML in a comment after the doctype.
+ * @param {string} documentPath - Path of the document, for its format
+ * @param {Object} [metadata] - Front-matter fields; no block is written when empty
+ * @param {string} content - Document body
+ * @param {string} [format='yaml'] - Front-matter format: 'yaml', 'toml' or 'json'
+ * @returns {string} Raw file content
+ */
+export function serializeDocument(documentPath, metadata, content, format = 'yaml') {
+  const body = content.replace(/^\n+/, '');
+  if (!metadata || Object.keys(metadata).length === 0) return body;
+
+  return insertFrontmatter(body, serializeFrontmatter(metadata, format), { html: isHtml(documentPath) });
+}
+
+/**
+ * Change front-matter fields of a document in place, keeping its body and front-matter format
+ * @param {string} documentPath - Path of the document, for its format
+ * @param {string} raw - Current raw content
+ * @param {Object} changes - Fields to set; null removes a field
+ * @returns {{raw: string, metadata: Object}} New raw content and the resulting front-matter
+ * @throws {MetadataError} If the current front-matter cannot be parsed
+ */
+export function updateFrontmatter(documentPath, raw, changes) {
+  return editFrontmatter(raw, changes, { html: isHtml(documentPath) });
+}
+
+/**
+ * Read the .metadata file of a directory for a write request
+ * @param {string} dirPath - Normalized directory path relative to CONTENT_DIR ('' for the root)
+ * @returns {Promise<{metadataPath: string, raw: string|null, etag: string}>} Path of the file, its raw
+ *   content (null if the directory has no .metadata file) and ETag; a missing file has the ETag of an
+ *   empty one, so that it can be created with the same If-Match precondition as it is replaced
+ * @throws {PathError} If the path escapes CONTENT_DIR
+ */
+export async function readMetadataSource(dirPath) {
+  const metadataPath = dirPath ? `${dirPath}/.metadata` : '.metadata';
+  const { raw } = await readDocumentSource(metadataPath);
+  return { metadataPath, raw, etag: computeEtag(raw ?? '') };
+}
+
+/**
+ * Build the raw content of a .metadata file
+ * @param {Object} metadata - Directory metadata
+ * @returns {string} YAML content; empty for empty metadata
+ */
+export function serializeMetadata(metadata) {
+  return Object.keys(metadata).length > 0 ? yaml.stringify(metadata) : '';
+}
+
+/**
+ * Set the `order` of a directory (in its .metadata) or document (in its front-matter)
+ * The field is edited in place: other fields, comments and formatting are kept.
+ * @param {Object} entry - Content index entry
+ * @param {string|null} raw - Current raw content of the document or .metadata file (null if missing)
+ * @param {number} order - New position
+ * @returns {string|null} New raw content, or null if the entry already has this order
+ * @throws {MetadataError} If the current metadata cannot be parsed
+ */
+export function applyOrder(entry, raw, order) {
+  if (entry.isDirectory) {
+    return parseMetadataFile(raw || '').order === order
+      ? null
+      : editMetadataFile(raw, { order });
+  }
+
+  const { metadata, error } = parseFrontmatter(raw, { html: isHtml(entry.path) });
+  if (error) throw error;
+  return metadata?.order === order ? null : updateFrontmatter(entry.path, raw, { order }).raw;
+}
+
+/**
+ * Run a write operation once the previous ones are done
+ * @param {Function} operation - async () => result
+ * @returns {Promise<*>} Result of the operation
+ */
+export function queueWrite(operation) {
+  const result = writeQueue.then(operation);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Write a file atomically, creating missing parent directories
+ * The content goes to a temporary file next to the target, which is then renamed over it.
+ * @param {string} filePath - Normalized path relative to CONTENT_DIR
+ * @param {string} raw - Raw file content
+ * @param {Object} [options]
+ * @param {boolean} [options.createOnly=false] - Fail with EEXIST instead of replacing an existing file
+ * @returns {Promise<{etag: string, createdDirectories: Array<string>}>}
+ * @throws {PathError} If the path escapes CONTENT_DIR
+ */
+export async function saveFile(filePath, raw, { createOnly = false } = {}) {
+  const { fullPath, exists } = await resolveContentPath(filePath);
+  const createdDirectories = await ensureParentDirectories(filePath);
+
+  const tempPath = path.join(path.dirname(fullPath), `.${path.basename(fullPath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+  const handle = await fs.open(tempPath, 'wx');
+  try {
+    await handle.writeFile(raw, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    if (createOnly) {
+      // link() fails if the target exists, unlike rename()
+      await fs.link(tempPath, fullPath);
+      await fs.unlink(tempPath);
+    } else {
+      await fs.rename(tempPath, fullPath);
+    }
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  LOG.info(`Saved file: ${filePath}`);
+  await refreshIndex([
+    ...createdDirectories.map(dirPath => ({ type: 'added', path: dirPath })),
+    { type: exists ? 'changed' : 'added', path: filePath }
+  ]);
+  return { etag: computeEtag(raw), createdDirectories };
+}
+
+/**
+ * Delete a document
+ * @param {string} documentPath - Normalized path relative to CONTENT_DIR
+ * @returns {Promise<void>}
+ * @throws {PathError} If the path escapes CONTENT_DIR
+ */
+export async function deleteDocument(documentPath) {
+  const { fullPath } = await resolveContentPath(documentPath);
+  await fs.unlink(fullPath);
+
+  LOG.info(`Deleted document: ${documentPath}`);
+  await refreshIndex([{ type: 'removed', path: documentPath }]);
+}
+
+/**
+ * Move or rename a document, creating missing parent directories of the target
+ * @param {string} fromPath - Normalized path of the document
+ * @param {string} toPath - Normalized new path; must not exist
+ * @returns {Promise<{createdDirectories: Array<string>}>}
+ * @throws {PathError} If a path escapes CONTENT_DIR
+ */
+export async function moveDocument(fromPath, toPath) {
+  const { fullPath: fromFullPath } = await resolveContentPath(fromPath);
+  const { fullPath: toFullPath } = await resolveContentPath(toPath);
+  const createdDirectories = await ensureParentDirectories(toPath);
+
+  // link() + unlink() instead of rename() so that an existing target is never replaced
+  await fs.link(fromFullPath, toFullPath);
+  await fs.unlink(fromFullPath);
+
+  LOG.info(`Moved document: ${fromPath} -> ${toPath}`);
+  await refreshIndex([
+    { type: 'removed', path: fromPath },
+    ...createdDirectories.map(dirPath => ({ type: 'added', path: dirPath })),
+    { type: 'added', path: toPath }
+  ]);
+  return { createdDirectories };
+}
+
+/**
+ * Create the missing parent directories of a document, each with a .metadata file holding its title
+ * @param {string} documentPath - Normalized path relative to CONTENT_DIR
+ * @returns {Promise<Array<string>>} Created directories, outermost first
+ */
+async function ensureParentDirectories(documentPath) {
+  const segments = documentPath.split('/').slice(0, -1);
+  const created = [];
+
+  for (let i = 1; i <= segments.length; i++) {
+    const dirPath = segments.slice(0, i).join('/');
+    const { fullPath, exists } = await resolveContentPath(dirPath);
+    if (exists) continue;
+
+    await fs.mkdir(fullPath);
+    await fs.writeFile(path.join(fullPath, '.metadata'), yaml.stringify({ title: titleFromFilename(segments[i - 1]) }), { flag: 'wx' });
+    created.push(dirPath);
+    LOG.info(`Created directory: ${dirPath}`);
+  }
+
+  return created;
+}
+
+/**
+ * Apply written paths to the indexes and caches right away, without waiting for the watcher
+ * @param {Array<{type: string, path: string}>} events - Changes, relative to CONTENT_DIR
+ * @returns {Promise<void>}
+ */
+async function refreshIndex(events) {
+  for (const event of events) {
+    await processContentChange(event);
+  }
+}
+
+/**
+ * Whether a document is HTML, whose front-matter sits in a comment
+ * @param {string} documentPath - Path of the document
+ * @returns {boolean}
+ */
+function isHtml(documentPath) {
+  return path.posix.extname(documentPath).toLowerCase() === '.html';
+}
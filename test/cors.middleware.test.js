@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { createResponse } from './helpers/content.js';
+
+const { handleCors } = await import('../middleware/cors.middleware.js');
+
+const ORIGIN = 'http://localhost:4200';
+
+/**
+ * Send a preflight request
+ * @param {string} pathname - Request path
+ * @param {string} method - Access-Control-Request-Method
+ * @param {string} headers - Access-Control-Request-Headers
+ * @returns {Object} Recorded response
+ */
+function preflight(pathname, method, headers) {
+  const res = createResponse();
+  handleCors({
+    method: 'OPTIONS',
+    headers: {
+      origin: ORIGIN,
+      'access-control-request-method': method,
+      'access-control-request-headers': headers
+    }
+  }, res, pathname);
+  return res;
+}
+
+describe('CORS route policies', () => {
+  it.each([
+    ['/api/content/guide/intro.md', 'GET', 'range, if-range'],
+    ['/api/content/guide/intro.md', 'GET', 'if-none-match, if-modified-since'],
+    ['/api/content/guide/intro.md', 'PUT', 'content-type, if-match'],
+    ['/api/metadata/guide', 'GET', 'if-none-match, if-modified-since'],
+    ['/api/metadata/guide', 'PUT', 'content-type, if-match'],
+    ['/api/assets/images/logo.png', 'GET', 'range, if-range']
+  ])('allows %s %s with %s', (pathname, method, headers) => {
+    const res = preflight(pathname, method, headers);
+    expect(res.statusCode).toBe(204);
+    expect(res.headers['access-control-allow-origin']).toBe(ORIGIN);
+  });
+
+  it('refuses headers outside the route policy', () => {
+    expect(preflight('/api/order/guide', 'PUT', 'range').statusCode).toBe(403);
+  });
+});
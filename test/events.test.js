@@ -0,0 +1,60 @@
+import { EventEmitter } from 'events';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, createResponse, removeDir } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '# Introduction\n',
+  'private/.metadata': 'access: [team-a]\n',
+  'private/plan.md': '# Plan\n'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const ContentIndex = await import('../services/content-index.service.js');
+const WatcherService = await import('../services/watcher.service.js');
+const { default: EventsController } = await import('../controllers/EventsController.js');
+
+/**
+ * Open an event stream as an anonymous caller
+ * @returns {{req: EventEmitter, res: Object, written: Array<string>}} Request (emit 'close' to
+ *   disconnect), recorded response and the chunks written to the stream
+ */
+function openStream() {
+  const req = Object.assign(new EventEmitter(), { method: 'GET', url: '/api/events', headers: {}, user: { id: null, groups: [] } });
+  const written = [];
+  const res = Object.assign(createResponse(), { write: chunk => written.push(chunk) });
+  EventsController.streamEvents(req, res);
+  return { req, res, written };
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  WatcherService.stopWatcher();
+  await removeDir(contentDir);
+});
+
+describe('GET /api/events', () => {
+  it('answers 503 while the content directory is not watched', () => {
+    const { res } = openStream();
+    expect(res.statusCode).toBe(503);
+    expect(res.body.error).toBe('Service Unavailable');
+  });
+
+  it('streams the changes the caller may see once watching', () => {
+    WatcherService.startWatcher();
+    const { req, res, written } = openStream();
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBe('text/event-stream');
+
+    WatcherService.publishIndexedChange({ type: 'modified', path: 'guide/intro.md' }, ContentIndex.getDocument('guide/intro.md'));
+    WatcherService.publishIndexedChange({ type: 'modified', path: 'private/plan.md' }, ContentIndex.getDocument('private/plan.md'));
+    req.emit('close');
+    WatcherService.publishIndexedChange({ type: 'modified', path: 'guide/intro.md' }, ContentIndex.getDocument('guide/intro.md'));
+
+    expect(written.filter(chunk => chunk.startsWith('data:'))).toEqual([
+      `data: ${JSON.stringify({ type: 'modified', path: 'guide/intro.md' })}\n\n`
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+/**
+ * Helpers shared by the specs
+ *
+ * CONTENT_DIR is read once when config/content-dir.js is loaded, so a spec creates its content
+ * directory, points CONTENT_DIR at it, and only then imports the modules under test.
+ */
+
+/**
+ * Create a temporary content directory
+ * @param {Object<string, string>} [files] - File contents by path relative to the directory
+ * @returns {Promise<string>} Absolute (real) path of the directory
+ */
+export async function createContentDir(files = {}) {
+  const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'tacia-content-')));
+  await writeFiles(dir, files);
+  return dir;
+}
+
+/**
+ * Write files below a directory, creating missing parent directories
+ * @param {string} dir - Absolute directory path
+ * @param {Object<string, string>} files - File contents by relative path
+ * @returns {Promise<void>}
+ */
+export async function writeFiles(dir, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const fullPath = path.join(dir, relativePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, content);
+  }
+}
+
+/**
+ * Remove a temporary directory
+ * @param {string} dir - Absolute directory path
+ * @returns {Promise<void>}
+ */
+export async function removeDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Minimal stand-in for http.IncomingMessage, streaming its body
+ * @param {Object} options
+ * @param {string} [options.method='GET'] - HTTP method
+ * @param {string} options.url - Request URL
+ * @param {Object<string, string>} [options.headers] - Headers, lowercase names
+ * @param {string|Object} [options.body] - Body; objects are sent as JSON
+ * @param {Object} [options.user] - Principal, as set by the auth middleware
+ * @returns {Readable} Request
+ */
+export function createRequest({ method = 'GET', url, headers = {}, body, user }) {
+  const json = body !== undefined && typeof body !== 'string';
+  const payload = json ? JSON.stringify(body) : body;
+
+  return Object.assign(Readable.from(payload === undefined ? [] : [Buffer.from(payload)]), {
+    method,
+    url,
+    headers: { ...(json && { 'content-type': 'application/json' }), ...headers },
+    user
+  });
+}
+
+/**
+ * Minimal stand-in for http.ServerResponse, recording what a handler sends
+ * @returns {Object} Response with `statusCode`, `headers` and `body` (parsed as JSON when possible)
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    headersSent: false,
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+    },
+    getHeader(name) {
+      return res.headers[name.toLowerCase()];
+    },
+    removeHeader(name) {
+      delete res.headers[name.toLowerCase()];
+    },
+    writeHead(statusCode, headers = {}) {
+      res.statusCode = statusCode;
+      Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    },
+    end(data) {
+      res.headersSent = true;
+      try {
+        res.body = data === undefined ? undefined : JSON.parse(String(data));
+      } catch {
+        res.body = String(data);
+      }
+    }
+  };
+  return res;
+}
@@ -0,0 +1,64 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createContentDir, writeFiles } from './content.js';
+
+const execFileAsync = promisify(execFile);
+
+// Fixed identity and dates, and no user or system configuration, so that fixtures are reproducible
+const GIT_ENV = {
+  ...process.env,
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+  GIT_AUTHOR_NAME: 'Fixture Author',
+  GIT_AUTHOR_EMAIL: 'author@example.com',
+  GIT_COMMITTER_NAME: 'Fixture Author',
+  GIT_COMMITTER_EMAIL: 'author@example.com'
+};
+
+/**
+ * Create a temporary content directory holding a git repository
+ * Commits are made in order, one day apart from 2026-01-01.
+ * @param {Array<{message: string, files?: Object<string, string|null>, moves?: Object<string, string>}>} commits -
+ *   Files to write (null removes the file) and files to move (from: to) in each commit
+ * @returns {Promise<{dir: string, shas: Array<string>}>} Directory and the hash of each commit
+ */
+export async function createGitContentDir(commits) {
+  const dir = await createContentDir();
+  await git(dir, ['init', '-q']);
+
+  const shas = [];
+  for (const [index, commit] of commits.entries()) {
+    for (const [from, to] of Object.entries(commit.moves || {})) {
+      await git(dir, ['mv', from, to]);
+    }
+
+    const removed = Object.keys(commit.files || {}).filter(file => commit.files[file] === null);
+    if (removed.length > 0) await git(dir, ['rm', '-q', '--', ...removed]);
+
+    await writeFiles(dir, Object.fromEntries(
+      Object.entries(commit.files || {}).filter(([, content]) => content !== null)
+    ));
+
+    const date = `2026-01-${String(index + 1).padStart(2, '0')}T10:00:00Z`;
+    await git(dir, ['add', '-A']);
+    await git(dir, ['commit', '-q', '--no-gpg-sign', '-m', commit.message], {
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: date
+    });
+    shas.push((await git(dir, ['rev-parse', 'HEAD'])).trim());
+  }
+
+  return { dir, shas };
+}
+
+/**
+ * Run git in a fixture directory
+ * @param {string} dir - Working directory
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<string>} Standard output
+ */
+export async function git(dir, args, env = {}) {
+  const { stdout } = await execFileAsync('git', args, { cwd: dir, env: { ...GIT_ENV, ...env } });
+  return stdout;
+}
@@ -0,0 +1,171 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createResponse, removeDir } from './helpers/content.js';
+import { createGitContentDir } from './helpers/git.js';
+
+// Fixture history:
+// 1. guide/intro.md, guide/old-name.md, guide/secret.md (team-a only), guide/opened.md (team-a only)
+// 2. intro.md rewritten, old-name.md renamed to new-name.md, opened.md made public
+// 3. secret.md deleted
+const { dir: contentDir, shas } = await createGitContentDir([
+  {
+    message: 'Add the guide',
+    files: {
+      'guide/intro.md': '---\ntitle: Introduction\n---\n# Introduction\n\nFirst version.\n',
+      'guide/old-name.md': '# Renamed\n\nKept across the rename.\n',
+      'guide/secret.md': '---\naccess: [team-a]\n---\n# Secret\n',
+      'guide/opened.md': '---\naccess: [team-a]\n---\n# Opened\n\nInternal draft.\n'
+    }
+  },
+  {
+    message: 'Rework the introduction',
+    files: {
+      'guide/intro.md': '---\ntitle: Introduction\n---\n# Introduction\n\nSecond version.\n',
+      'guide/opened.md': '# Opened\n\nPublic text.\n'
+    },
+    moves: { 'guide/old-name.md': 'guide/new-name.md' }
+  },
+  {
+    message: 'Remove the secret page',
+    files: { 'guide/secret.md': null }
+  }
+]);
+process.env.CONTENT_DIR = contentDir;
+
+const HistoryService = await import('../services/history.service.js');
+const ContentIndex = await import('../services/content-index.service.js');
+const { Router } = await import('../utils/router.js');
+const { default: HistoryController } = await import('../controllers/HistoryController.js');
+const { default: ContentController } = await import('../controllers/ContentController.js');
+
+const ANONYMOUS = { id: null, groups: [], method: null };
+const EDITOR = { id: 'eve', groups: ['editors'], method: 'basic' };
+const TEAM_EDITOR = { id: 'ted', groups: ['editors', 'team-a'], method: 'basic' };
+
+const router = new Router();
+HistoryController.registerRoutes(router);
+ContentController.registerRoutes(router);
+
+/**
+ * Send a GET request through the router
+ * @param {string} requestUrl - Request URL
+ * @param {Object} [user] - Principal
+ * @returns {Promise<Object>} Recorded response
+ */
+async function get(requestUrl, user = ANONYMOUS) {
+  const res = createResponse();
+  await router.handle({ method: 'GET', url: requestUrl, headers: {}, user }, res);
+  return res;
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+});
+
+describe('HistoryService', () => {
+  it('lists the commits touching a file, newest first', async () => {
+    const result = await HistoryService.getHistory('guide/intro.md');
+
+    expect(result.error).toBeUndefined();
+    expect(result.commits.map(commit => commit.sha)).toEqual([shas[1], shas[0]]);
+    expect(result.commits[0]).toMatchObject({
+      shortSha: expect.stringMatching(/^[0-9a-f]{7,}$/),
+      author: { name: 'Fixture Author', email: 'author@example.com' },
+      date: '2026-01-02T10:00:00+00:00',
+      message: 'Rework the introduction'
+    });
+  });
+
+  it('follows renames', async () => {
+    const result = await HistoryService.getHistory('guide/new-name.md');
+    expect(result.commits.map(commit => commit.message)).toEqual(['Rework the introduction', 'Add the guide']);
+  });
+
+  it('pages through the history', async () => {
+    const result = await HistoryService.getHistory('guide/intro.md', { limit: 1, skip: 1 });
+    expect(result.commits.map(commit => commit.sha)).toEqual([shas[0]]);
+  });
+
+  it('reads a file at a past revision', async () => {
+    const result = await HistoryService.readFileAtRevision('guide/intro.md', shas[0].slice(0, 8));
+    expect(result.content).toContain('First version.');
+    expect(result.commit.sha).toBe(shas[0]);
+  });
+
+  it('reports files missing at a revision', async () => {
+    const result = await HistoryService.readFileAtRevision('guide/secret.md', 'HEAD');
+    expect(result.error).toBe('Document not found at revision');
+  });
+
+  it.each([
+    ['--output=/tmp/x', 'Invalid revision'],
+    ['HEAD~1', 'Invalid revision'],
+    ['main..HEAD', 'Invalid revision'],
+    ['deadbeef', 'Revision not found']
+  ])('rejects the revision %j', async (revision, error) => {
+    const result = await HistoryService.readFileAtRevision('guide/intro.md', revision);
+    expect(result.error).toBe(error);
+  });
+
+  it('diffs a file between two revisions', async () => {
+    const result = await HistoryService.diffRevisions('guide/intro.md', shas[0], shas[1]);
+
+    expect(result.from.sha).toBe(shas[0]);
+    expect(result.to.sha).toBe(shas[1]);
+    expect(result.diff).toContain('-First version.');
+    expect(result.diff).toContain('+Second version.');
+  });
+
+  it('diffs against the current file when no target revision is given', async () => {
+    const result = await HistoryService.diffRevisions('guide/intro.md', shas[1]);
+    expect(result.to).toBeNull();
+    expect(result.diff).toBe('');
+  });
+});
+
+describe('access to history', () => {
+  it('serves the history of a public document', async () => {
+    const res = await get('/api/history?path=guide/intro.md');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.commits).toHaveLength(2);
+  });
+
+  it('keeps the history of a deleted document to editors', async () => {
+    expect((await get('/api/history?path=guide/secret.md')).statusCode).toBe(404);
+
+    const res = await get('/api/history?path=guide/secret.md', EDITOR);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.commits.map(commit => commit.message)).toEqual(['Remove the secret page', 'Add the guide']);
+  });
+
+  it('applies the front-matter of a deleted document at the requested revision', async () => {
+    const url = `/api/content/guide/secret.md?rev=${shas[0]}`;
+
+    expect((await get(url)).statusCode).toBe(404);
+    expect((await get(url, EDITOR)).statusCode).toBe(404);
+
+    const res = await get(url, TEAM_EDITOR);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.markdown).toBe('# Secret');
+  });
+
+  it('hides revisions of a public document that were restricted', async () => {
+    expect((await get(`/api/content/guide/opened.md?rev=${shas[0]}`)).statusCode).toBe(404);
+
+    const res = await get(`/api/content/guide/opened.md?rev=${shas[1]}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.revision.sha).toBe(shas[1]);
+  });
+
+  it('hides diffs involving a restricted revision', async () => {
+    expect((await get(`/api/diff?path=guide/opened.md&from=${shas[0]}&to=${shas[1]}`)).statusCode).toBe(404);
+    expect((await get(`/api/diff?path=guide/opened.md&from=${shas[0]}&to=${shas[1]}`, TEAM_EDITOR)).statusCode).toBe(200);
+
+    const res = await get(`/api/diff?path=guide/opened.md&from=${shas[1]}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.diff).toBe('');
+  });
+});
@@ -0,0 +1,88 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, removeDir, writeFiles } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '# Introduction\n\nSee [setup](setup) and [the logo](../images/logo.png).\n',
+  'guide/usage.md': '# Usage\n\nBack to the [introduction](intro.md#introduction).\n',
+  'images/other.png': 'png'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const ContentIndex = await import('../services/content-index.service.js');
+const LinkService = await import('../services/link.service.js');
+
+/**
+ * Resolved links of a document in the shared graph
+ * @param {string} documentPath - Document path
+ * @returns {Promise<Object<string, string|null>>} Targets by link URL
+ */
+async function targetsOf(documentPath) {
+  const graph = await LinkService.getLinkGraph();
+  return Object.fromEntries(graph.get(documentPath).links.map(link => [link.url, link.target]));
+}
+
+/**
+ * Write files and apply them to the content index, as the change pipeline does
+ * @param {Object<string, string>} files - File contents by relative path
+ * @returns {Promise<void>}
+ */
+async function addFiles(files) {
+  await writeFiles(contentDir, files);
+  for (const filePath of Object.keys(files)) {
+    await ContentIndex.applyContentChange({ type: 'added', path: filePath });
+  }
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+});
+
+describe('LinkService.refreshLinkGraph', () => {
+  it('resolves links when the graph is built', async () => {
+    expect(await targetsOf('guide/intro.md')).toEqual({ setup: null, '../images/logo.png': null });
+    expect(await targetsOf('guide/usage.md')).toEqual({ 'intro.md#introduction': 'guide/intro.md' });
+  });
+
+  it('resolves again only the links pointing at a changed path', async () => {
+    await addFiles({ 'guide/setup.md': '# Setup\n', 'images/logo.png': 'png' });
+
+    // Only the document was reported: the link to the image is left as it was
+    await LinkService.refreshLinkGraph(['guide/setup.md']);
+    expect(await targetsOf('guide/intro.md')).toEqual({ setup: 'guide/setup.md', '../images/logo.png': null });
+
+    await LinkService.refreshLinkGraph(['images/logo.png']);
+    expect((await targetsOf('guide/intro.md'))['../images/logo.png']).toBe('images/logo.png');
+  });
+
+  it('resolves again the links below a removed directory', async () => {
+    await fs.rm(path.join(contentDir, 'images'), { recursive: true });
+    await ContentIndex.applyContentChange({ type: 'removed', path: 'images' });
+
+    await LinkService.refreshLinkGraph(['images']);
+    expect((await targetsOf('guide/intro.md'))['../images/logo.png']).toBeNull();
+  });
+
+  it('parses changed documents again and resolves their links', async () => {
+    await writeFiles(contentDir, { 'guide/usage.md': '# Usage\n\nSee [setup](setup.md) and [nothing](missing.md).\n' });
+    await ContentIndex.applyContentChange({ type: 'changed', path: 'guide/usage.md' });
+
+    await LinkService.refreshLinkGraph(['guide/usage.md']);
+    expect(await targetsOf('guide/usage.md')).toEqual({ 'setup.md': 'guide/setup.md', 'missing.md': null });
+  });
+
+  it('drops the links of removed documents and breaks the links to them', async () => {
+    await fs.rm(path.join(contentDir, 'guide/setup.md'));
+    await ContentIndex.applyContentChange({ type: 'removed', path: 'guide/setup.md' });
+
+    await LinkService.refreshLinkGraph(['guide/setup.md']);
+    expect((await LinkService.getLinkGraph()).has('guide/setup.md')).toBe(false);
+    expect((await targetsOf('guide/intro.md')).setup).toBeNull();
+    expect((await targetsOf('guide/usage.md'))['setup.md']).toBeNull();
+  });
+});
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, createResponse, removeDir } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '# Introduction\n',
+  'guide/.draft.md': '# Hidden draft\n',
+  '.git/hooks/pre-commit.sample': '#!/bin/sh\n',
+  'images/pic.png': 'not really a PNG'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const { normalizeContentPath, resolveContentPath, isHiddenPath, isInside, PathError } = await import('../utils/path.utils.js');
+const { Router } = await import('../utils/router.js');
+const { default: ContentController } = await import('../controllers/ContentController.js');
+
+// Directory outside the content root, reached through symbolic links below it
+let outsideDir;
+
+beforeAll(async () => {
+  outsideDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'tacia-outside-')));
+  await fs.writeFile(path.join(outsideDir, 'secret.md'), '# Secret\n');
+
+  await fs.symlink(outsideDir, path.join(contentDir, 'escape'));
+  await fs.symlink(path.join(outsideDir, 'secret.md'), path.join(contentDir, 'guide/secret.md'));
+  await fs.symlink(path.join(contentDir, 'guide'), path.join(contentDir, 'alias'));
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+  await removeDir(outsideDir);
+});
+
+describe('normalizeContentPath', () => {
+  it.each([
+    [undefined, ''],
+    ['', ''],
+    ['/', ''],
+    ['guide/intro.md', 'guide/intro.md'],
+    ['/guide//./intro.md/', 'guide/intro.md'],
+    ['./guide/', 'guide'],
+    ['%2e%2e', '%2e%2e'], // still encoded after decoding: a literal file name
+    ['a..b/c..', 'a..b/c..']
+  ])('normalizes %j to %j', (input, expected) => {
+    expect(normalizeContentPath(input)).toBe(expected);
+  });
+
+  it.each([
+    ['..', 'Path traversal is not allowed'],
+    ['../etc/passwd', 'Path traversal is not allowed'],
+    ['guide/../../etc/passwd', 'Path traversal is not allowed'],
+    ['guide/..', 'Path traversal is not allowed'],
+    [decodeURIComponent('%2e%2e/%2e%2e/etc/passwd'), 'Path traversal is not allowed'],
+    ['..%2fetc%2fpasswd', 'Encoded path separators are not allowed'],
+    ['guide%2F..%2F..%2Fetc', 'Encoded path separators are not allowed'],
+    ['..%5cetc', 'Encoded path separators are not allowed'],
+    ['intro.md%00.png', 'Encoded path separators are not allowed'],
+    ['..\\etc\\passwd', 'Backslashes are not allowed in paths'],
+    ['guide\\intro.md', 'Backslashes are not allowed in paths'],
+    ['intro.md\0.png', 'NUL bytes are not allowed in paths'],
+    ['C:/Windows/win.ini', 'Absolute paths are not allowed'],
+    ['c:secret', 'Absolute paths are not allowed']
+  ])('rejects %j', (input, message) => {
+    expect(() => normalizeContentPath(input)).toThrow(PathError);
+    expect(() => normalizeContentPath(input)).toThrow(message);
+  });
+
+  it('reports the rejected path with a 400 status', () => {
+    try {
+      normalizeContentPath('../etc/passwd');
+      expect.unreachable();
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.toJSON()).toEqual({
+        error: 'Invalid path',
+        details: 'Path traversal is not allowed',
+        path: '../etc/passwd'
+      });
+    }
+  });
+});
+
+describe('resolveContentPath', () => {
+  it('resolves an existing document inside the content directory', async () => {
+    const result = await resolveContentPath('/guide/intro.md');
+    expect(result).toEqual({
+      relativePath: 'guide/intro.md',
+      fullPath: path.join(contentDir, 'guide/intro.md'),
+      exists: true
+    });
+  });
+
+  it('resolves a missing document whose parent lies inside', async () => {
+    const result = await resolveContentPath('guide/new/page.md');
+    expect(result.exists).toBe(false);
+    expect(result.fullPath).toBe(path.join(contentDir, 'guide/new/page.md'));
+  });
+
+  it('follows symbolic links that stay inside', async () => {
+    const result = await resolveContentPath('alias/intro.md');
+    expect(result.exists).toBe(true);
+  });
+
+  it.each([
+    'escape',
+    'escape/secret.md',
+    'escape/missing.md',
+    'escape/new/dir/page.md',
+    'guide/secret.md'
+  ])('rejects %j, which escapes through a symbolic link', async (input) => {
+    await expect(resolveContentPath(input)).rejects.toThrow('Path resolves outside the content directory');
+  });
+
+  it('rejects what normalizeContentPath rejects', async () => {
+    await expect(resolveContentPath('../outside')).rejects.toBeInstanceOf(PathError);
+    await expect(resolveContentPath('guide\0')).rejects.toBeInstanceOf(PathError);
+  });
+});
+
+describe('isInside', () => {
+  it.each([
+    ['/srv/content', '/srv/content', true],
+    ['/srv/content', '/srv/content/guide', true],
+    ['/srv/content', '/srv/content/..data', true],
+    ['/srv/content', '/srv/content-old/guide', false],
+    ['/srv/content', '/srv', false],
+    ['/srv/content', '/etc/passwd', false]
+  ])('%s contains %s: %s', (root, candidate, expected) => {
+    expect(isInside(root, candidate)).toBe(expected);
+  });
+});
+
+describe('isHiddenPath', () => {
+  it.each([
+    ['.git', true],
+    ['.git/hooks/pre-commit.sample', true],
+    ['guide/.draft.md', true],
+    ['guide/.metadata', true],
+    ['guide/intro.md', false],
+    ['a..b/c..', false],
+    ['', false]
+  ])('%j is hidden: %s', (input, expected) => {
+    expect(isHiddenPath(input)).toBe(expected);
+  });
+});
+
+describe('GET /api/content with traversal attempts', () => {
+  const router = new Router();
+  ContentController.registerRoutes(router);
+
+  /**
+   * Send a GET request through the router
+   * @param {string} requestUrl - Raw request URL
+   * @returns {Promise<Object>} Recorded response
+   */
+  async function get(requestUrl) {
+    const res = createResponse();
+    await router.handle({ method: 'GET', url: requestUrl, headers: {} }, res);
+    return res;
+  }
+
+  it.each([
+    '/api/content/%2e%2e/%2e%2e/etc/passwd',
+    '/api/content/..%2f..%2fetc%2fpasswd',
+    '/api/content/guide/%2e%2e/%2e%2e/etc',
+    '/api/content/%5c..%5cetc',
+    '/api/content/intro.md%00.png',
+    '/api/content/escape/secret.md'
+  ])('answers %s with the invalid path error', async (requestUrl) => {
+    const res = await get(requestUrl);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid path');
+  });
+
+  it.each([
+    '/api/content/.git/hooks/pre-commit.sample',
+    '/api/content/.git/config',
+    '/api/content/guide/.draft.md',
+    '/api/content/guide/.metadata'
+  ])('answers %s, a hidden file, as missing', async (requestUrl) => {
+    const res = await get(requestUrl);
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('Not Found');
+  });
+
+  it('answers other files than documents with a pointer to /api/assets', async () => {
+    const res = await get('/api/content/images/pic.png');
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ error: 'Not Found', suggestedUrl: '/api/assets/images/pic.png' });
+  });
+
+  it('still serves documents', async () => {
+    const res = await get('/api/content/guide/intro.md');
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('still answers directories with a pointer to /api/structure', async () => {
+    const res = await get('/api/content/guide');
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ error: 'Directory listing not available', suggestedUrl: '/api/structure/guide' });
+  });
+});
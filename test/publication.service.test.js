@@ -0,0 +1,142 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, createResponse, removeDir } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '# Introduction\n',
+  'guide/draft.md': '---\ntitle: Draft\ndraft: true\n---\n# Draft\n',
+  'guide/launch.md': '---\ntitle: Launch\npublishDate: 2026-03-01T09:00:00Z\nexpiryDate: 2026-06-01\n---\n# Launch\n',
+  'guide/sale.md': '---\ntitle: Sale\nexpiryDate: 2026-02-15\n---\n# Sale\n',
+  'guide/old.md': '---\ntitle: Old\nexpiryDate: 2025-12-31\n---\n# Old\n',
+  'private/.metadata': 'access: [team-a]\n',
+  'private/plan.md': '---\ntitle: Plan\npublishDate: 2026-04-01\n---\n# Plan\n'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const ContentIndex = await import('../services/content-index.service.js');
+const { getPublicationState, isPublished, listSchedule } = await import('../services/publication.service.js');
+const { canAccessDocument } = await import('../services/access.service.js');
+const { Router } = await import('../utils/router.js');
+const { default: ContentController } = await import('../controllers/ContentController.js');
+const { default: DiagnosticsController } = await import('../controllers/DiagnosticsController.js');
+
+const NOW = new Date('2026-02-01T00:00:00Z');
+const READER = { id: 'rita', groups: ['readers'], method: 'basic' };
+const EDITOR = { id: 'eve', groups: ['editors'], method: 'basic' };
+const TEAM_EDITOR = { id: 'ted', groups: ['editors', 'team-a'], method: 'basic' };
+
+const router = new Router();
+ContentController.registerRoutes(router);
+DiagnosticsController.registerRoutes(router);
+
+/**
+ * Send a GET request through the router
+ * @param {string} requestUrl - Request URL
+ * @param {Object} user - Principal, as set by the auth middleware
+ * @returns {Promise<Object>} Recorded response
+ */
+async function get(requestUrl, user) {
+  const res = createResponse();
+  await router.handle({ method: 'GET', url: requestUrl, headers: {}, user }, res);
+  return res;
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+});
+
+describe('getPublicationState', () => {
+  const state = (frontmatter, now = NOW) => getPublicationState({ frontmatter }, now).state;
+
+  it.each([
+    [{}, 'published'],
+    [{ draft: true }, 'draft'],
+    [{ draft: 'true' }, 'draft'],
+    [{ draft: false }, 'published'],
+    [{ draft: 'yes' }, 'published'],
+    [{ publishDate: '2026-02-02' }, 'scheduled'],
+    [{ publishDate: '2026-01-31' }, 'published'],
+    [{ expiryDate: '2026-02-01T00:00:00Z' }, 'expired'],
+    [{ expiryDate: '2026-02-01T00:00:01Z' }, 'published'],
+    [{ draft: true, publishDate: '2026-03-01' }, 'draft'],
+    [{ publishDate: '2026-03-01', expiryDate: '2026-01-01' }, 'scheduled']
+  ])('gives %j the state %s', (frontmatter, expected) => {
+    expect(state(frontmatter)).toBe(expected);
+  });
+
+  it('reads a date without a time as midnight UTC', () => {
+    const { publishDate } = getPublicationState({ frontmatter: { publishDate: '2026-02-01' } }, NOW);
+    expect(publishDate.toISOString()).toBe('2026-02-01T00:00:00.000Z');
+    expect(state({ publishDate: '2026-02-01' })).toBe('published');
+  });
+
+  it('ignores invalid and non-string dates', () => {
+    expect(getPublicationState({ frontmatter: { publishDate: 'soon', expiryDate: 42 } }, NOW)).toEqual({
+      state: 'published',
+      publishDate: null,
+      expiryDate: null
+    });
+  });
+
+  it('treats documents without front-matter as published', () => {
+    expect(getPublicationState(null, NOW).state).toBe('published');
+    expect(isPublished({}, NOW)).toBe(true);
+  });
+
+  it('uses the current time by default', () => {
+    expect(isPublished({ frontmatter: { publishDate: '2000-01-01' } })).toBe(true);
+    expect(isPublished({ frontmatter: { publishDate: '2999-01-01' } })).toBe(false);
+  });
+});
+
+describe('listSchedule', () => {
+  it('lists scheduled documents, upcoming expiries and drafts', () => {
+    const schedule = listSchedule({ now: NOW });
+
+    expect(schedule.generatedAt).toBe(NOW.toISOString());
+    expect(schedule.scheduled).toEqual([
+      { path: 'guide/launch.md', title: 'Launch', publishDate: '2026-03-01T09:00:00.000Z', expiryDate: '2026-06-01T00:00:00.000Z' },
+      { path: 'private/plan.md', title: 'Plan', publishDate: '2026-04-01T00:00:00.000Z', expiryDate: null }
+    ]);
+    expect(schedule.expiring).toEqual([{ path: 'guide/sale.md', title: 'Sale', expiryDate: '2026-02-15T00:00:00.000Z' }]);
+    expect(schedule.drafts).toEqual([{ path: 'guide/draft.md', title: 'Draft' }]);
+  });
+
+  it('leaves out the documents the principal may not access', () => {
+    expect(listSchedule({ principal: EDITOR, now: NOW }).scheduled.map(entry => entry.path)).toEqual(['guide/launch.md']);
+    expect(listSchedule({ principal: TEAM_EDITOR, now: NOW }).scheduled).toHaveLength(2);
+  });
+});
+
+describe('access to unpublished documents', () => {
+  const draft = () => ContentIndex.getDocument('guide/draft.md');
+
+  it('hides them outside preview mode', () => {
+    expect(canAccessDocument(READER, draft())).toBe(false);
+    expect(canAccessDocument(EDITOR, draft())).toBe(false);
+    expect(canAccessDocument({ ...EDITOR, preview: true }, draft())).toBe(true);
+  });
+
+  it('keeps the access rules in preview mode', () => {
+    const plan = ContentIndex.getDocument('private/plan.md');
+    expect(canAccessDocument({ ...EDITOR, preview: true }, plan)).toBe(false);
+    expect(canAccessDocument({ ...TEAM_EDITOR, preview: true }, plan)).toBe(true);
+  });
+
+  it('answers 404 for a draft, unless previewed', async () => {
+    expect((await get('/api/content/guide/draft.md', READER)).statusCode).toBe(404);
+    expect((await get('/api/content/guide/draft.md', { ...EDITOR, preview: true })).statusCode).toBe(200);
+  });
+
+  it('serves the schedule to editors only', async () => {
+    expect((await get('/api/diagnostics/schedule', { id: null, groups: [], method: null })).statusCode).toBe(401);
+    expect((await get('/api/diagnostics/schedule', READER)).statusCode).toBe(403);
+
+    const res = await get('/api/diagnostics/schedule', EDITOR);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.drafts).toEqual([{ path: 'guide/draft.md', title: 'Draft' }]);
+  });
+});
@@ -0,0 +1,58 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, createResponse, removeDir } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '---\ntitle: Introduction\ntags: [basics]\n---\n# Introduction\n\nInstalling the server.\n',
+  'guide/usage.md': '# Usage\n\nRunning the server.\n'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const ContentIndex = await import('../services/content-index.service.js');
+const { Router } = await import('../utils/router.js');
+const { default: SearchController } = await import('../controllers/SearchController.js');
+
+const router = new Router();
+SearchController.registerRoutes(router);
+
+/**
+ * Send a GET request through the router
+ * @param {string} requestUrl - Request URL
+ * @returns {Promise<Object>} Recorded response
+ */
+async function get(requestUrl) {
+  const res = createResponse();
+  await router.handle({ method: 'GET', url: requestUrl, headers: {}, user: { id: null, groups: [] } }, res);
+  return res;
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+});
+
+describe('GET /api/search', () => {
+  it('finds documents', async () => {
+    const res = await get('/api/search?q=server');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.results.map(result => result.path).sort()).toEqual(['guide/intro.md', 'guide/usage.md']);
+  });
+
+  it('answers 400 to a missing query', async () => {
+    expect((await get('/api/search')).statusCode).toBe(400);
+  });
+
+  it.each([
+    '/api/search?q=a&q=b',
+    '/api/search?q=server&page=1&page=2',
+    '/api/search?q=server&pageSize=1&pageSize=2',
+    '/api/search?q=server&dir=guide&dir=other',
+    '/api/search?q=server&tag=a&tag=b'
+  ])('answers 400 to the repeated parameter in %s', async (requestUrl) => {
+    const res = await get(requestUrl);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid query');
+  });
+});
@@ -0,0 +1,346 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createContentDir, createRequest, createResponse, removeDir } from './helpers/content.js';
+
+const contentDir = await createContentDir({
+  'guide/intro.md': '---\ntitle: Introduction\ntags: [basics]\n---\n# Introduction\n\nBody text.\n',
+  'guide/.metadata': 'title: Guide\n',
+  'private/.metadata': 'access: [team-a]\n',
+  'private/plan.md': '# Plan\n',
+  'manual/.metadata': 'title: Manual\n',
+  'manual/a.md': '---\n# Kept as written\ntitle: A\ntags: [x, y]\norder: 5\n---\n# A\n',
+  'manual/b.html': '<!DOCTYPE html>\n<html><body>B</body></html>\n',
+  'manual/c.md': '---\ndraft: true\norder: 1\n---\n# C\n',
+  'manual/d.md': '---\norder: 2\n---\n# D\n',
+  'manual/sub/.metadata': 'title: Sub # short for subsection\n'
+});
+process.env.CONTENT_DIR = contentDir;
+
+const ContentIndex = await import('../services/content-index.service.js');
+const WriteService = await import('../services/write.service.js');
+const SearchService = await import('../services/search.service.js');
+const LinkService = await import('../services/link.service.js');
+const { parseFrontmatter } = await import('../services/metadata.service.js');
+const { checkPreconditions, computeEtag } = await import('../utils/http.utils.js');
+const { Router } = await import('../utils/router.js');
+const { default: ContentController } = await import('../controllers/ContentController.js');
+const { default: ContentWriteController } = await import('../controllers/ContentWriteController.js');
+const { default: MetadataController } = await import('../controllers/MetadataController.js');
+
+const EDITOR = { id: 'eve', groups: ['editors'], method: 'basic' };
+const READER = { id: 'rita', groups: ['readers'], method: 'basic' };
+
+const router = new Router();
+ContentController.registerRoutes(router);
+ContentWriteController.registerRoutes(router);
+MetadataController.registerRoutes(router);
+
+/**
+ * Send a request through the router, as the editor unless another user is given
+ * @param {Object} options - See createRequest
+ * @returns {Promise<Object>} Recorded response
+ */
+async function send({ user = EDITOR, ...options }) {
+  const res = createResponse();
+  await router.handle(createRequest({ user, ...options }), res);
+  return res;
+}
+
+/**
+ * Read a file of the content directory
+ * @param {string} relativePath - Path relative to the content directory
+ * @returns {Promise<string>} Content
+ */
+function readContent(relativePath) {
+  return fs.readFile(path.join(contentDir, relativePath), 'utf8');
+}
+
+beforeAll(async () => {
+  await ContentIndex.buildContentIndex();
+});
+
+afterAll(async () => {
+  await removeDir(contentDir);
+});
+
+describe('checkPreconditions', () => {
+  const etag = '"abc"';
+  const check = (headers, currentEtag, options) => checkPreconditions({ headers }, currentEtag, options);
+
+  it('accepts a matching If-Match', () => {
+    expect(check({ 'if-match': '"abc"' }, etag, { required: true })).toBeNull();
+    expect(check({ 'if-match': '"x", "abc"' }, etag, { required: true })).toBeNull();
+    expect(check({ 'if-match': '*' }, etag, { required: true })).toBeNull();
+  });
+
+  it('compares If-Match strongly: weak tags never match', () => {
+    expect(check({ 'if-match': 'W/"abc"' }, etag).statusCode).toBe(412);
+    expect(check({ 'if-match': 'W/"abc-html"' }, etag).statusCode).toBe(412);
+  });
+
+  it('compares If-None-Match weakly', () => {
+    expect(check({ 'if-none-match': 'W/"abc"' }, etag).statusCode).toBe(412);
+  });
+
+  it('accepts the ETag of a variant of the same content', () => {
+    expect(check({ 'if-match': '"abc-html"' }, etag)).toBeNull();
+  });
+
+  it('answers 412 to a stale If-Match', () => {
+    expect(check({ 'if-match': '"old"' }, etag)).toMatchObject({ statusCode: 412, error: 'Precondition Failed' });
+  });
+
+  it('answers 412 to If-Match on a missing document', () => {
+    expect(check({ 'if-match': '"abc"' }, null).statusCode).toBe(412);
+  });
+
+  it('answers 428 when a required If-Match is missing', () => {
+    expect(check({}, etag, { required: true })).toMatchObject({ statusCode: 428, error: 'Precondition Required' });
+    expect(check({}, etag)).toBeNull();
+  });
+
+  it('lets new documents through without If-Match', () => {
+    expect(check({}, null, { required: true })).toBeNull();
+  });
+
+  it('answers 412 to If-None-Match: * on an existing document', () => {
+    expect(check({ 'if-none-match': '*' }, etag).statusCode).toBe(412);
+    expect(check({ 'if-none-match': '*' }, null)).toBeNull();
+  });
+});
+
+describe('WriteService.saveFile', () => {
+  it('writes atomically, without leaving temporary files', async () => {
+    const { etag, createdDirectories } = await WriteService.saveFile('notes/deep/page.md', '# Page\n');
+
+    expect(etag).toBe(computeEtag('# Page\n'));
+    expect(createdDirectories).toEqual(['notes', 'notes/deep']);
+    expect(await readContent('notes/deep/page.md')).toBe('# Page\n');
+    expect(await readContent('notes/.metadata')).toBe('title: Notes\n');
+    expect((await fs.readdir(path.join(contentDir, 'notes/deep'))).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    expect(ContentIndex.getDocument('notes/deep/page.md')).not.toBeNull();
+  });
+
+  it('refuses to replace a file in create-only mode', async () => {
+    await expect(WriteService.saveFile('notes/deep/page.md', 'other', { createOnly: true }))
+      .rejects.toMatchObject({ code: 'EEXIST' });
+    expect(await readContent('notes/deep/page.md')).toBe('# Page\n');
+  });
+
+  it('runs queued writes one at a time', async () => {
+    const order = [];
+    await Promise.all([
+      WriteService.queueWrite(async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('first');
+      }),
+      WriteService.queueWrite(async () => order.push('second'))
+    ]);
+    expect(order).toEqual(['first', 'second']);
+  });
+});
+
+describe('write API', () => {
+  it('refuses anonymous callers and non-editors', async () => {
+    const anonymous = await send({ method: 'PUT', url: '/api/content/guide/new.md', body: { content: 'x' }, user: { id: null, groups: [] } });
+    expect(anonymous.statusCode).toBe(401);
+
+    const reader = await send({ method: 'PUT', url: '/api/content/guide/new.md', body: { content: 'x' }, user: READER });
+    expect(reader.statusCode).toBe(403);
+  });
+
+  it.each([
+    ['/api/content/guide/.hidden.md', 400],
+    ['/api/content/guide/image.png', 400],
+    ['/api/content/private/plan.md', 404]
+  ])('refuses to write %s', async (url, statusCode) => {
+    const res = await send({ method: 'PUT', url, body: { content: 'x' } });
+    expect(res.statusCode).toBe(statusCode);
+  });
+
+  it('creates a document with PUT and returns its ETag', async () => {
+    const res = await send({
+      method: 'PUT',
+      url: '/api/content/guide/setup.md',
+      body: { content: '# Setup\n', metadata: { title: 'Setup', order: 3 } }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.headers.location).toBe('/api/content/guide/setup.md');
+    expect(res.body).toMatchObject({ path: 'guide/setup.md', created: true });
+
+    const raw = await readContent('guide/setup.md');
+    expect(res.headers.etag).toBe(computeEtag(raw));
+    expect(parseFrontmatter(raw).metadata).toEqual({ title: 'Setup', order: 3 });
+  });
+
+  it('hands out the same ETag as GET /api/content', async () => {
+    const read = await send({ url: '/api/content/guide/intro.md' });
+    expect(read.headers.etag).toBe(computeEtag(await readContent('guide/intro.md')));
+  });
+
+  it('requires If-Match to replace a document', async () => {
+    const res = await send({ method: 'PUT', url: '/api/content/guide/intro.md', body: { content: '# Replaced\n' } });
+    expect(res.statusCode).toBe(428);
+    expect(await readContent('guide/intro.md')).toContain('Body text.');
+  });
+
+  it('refuses a weak If-Match', async () => {
+    const etag = computeEtag(await readContent('guide/intro.md'));
+    const res = await send({
+      method: 'PUT',
+      url: '/api/content/guide/intro.md',
+      headers: { 'if-match': `W/${etag}` },
+      body: { content: '# Replaced\n' }
+    });
+    expect(res.statusCode).toBe(412);
+    expect(await readContent('guide/intro.md')).toContain('Body text.');
+  });
+
+  it('refuses a stale If-Match', async () => {
+    const res = await send({
+      method: 'PUT',
+      url: '/api/content/guide/intro.md',
+      headers: { 'if-match': '"stale"' },
+      body: { content: '# Replaced\n' }
+    });
+    expect(res.statusCode).toBe(412);
+  });
+
+  it('lets only one of two writes based on the same version through', async () => {
+    const { headers: { etag } } = await send({ url: '/api/content/guide/intro.md' });
+    const write = text => send({
+      method: 'PUT',
+      url: '/api/content/guide/intro.md',
+      headers: { 'if-match': etag, 'content-type': 'text/markdown' },
+      body: text
+    });
+
+    const results = await Promise.all([write('# First\n'), write('# Second\n')]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 412]);
+    expect(await readContent('guide/intro.md')).toBe('# First\n');
+  });
+
+  it('refuses POST on an existing document', async () => {
+    const res = await send({ method: 'POST', url: '/api/content/guide/setup.md', body: { content: 'x' } });
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('changes front-matter fields with PATCH, keeping the body', async () => {
+    const etag = computeEtag(await readContent('guide/setup.md'));
+    const res = await send({
+      method: 'PATCH',
+      url: '/api/content/guide/setup.md',
+      headers: { 'if-match': etag },
+      body: { metadata: { order: null, tags: ['install'] } }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.metadata).toEqual({ title: 'Setup', tags: ['install'] });
+
+    const { metadata, content } = parseFrontmatter(await readContent('guide/setup.md'));
+    expect(metadata).toEqual({ title: 'Setup', tags: ['install'] });
+    expect(content.trim()).toBe('# Setup');
+    expect(res.headers.etag).toBe(computeEtag(await readContent('guide/setup.md')));
+  });
+
+  it('moves a document, refusing to replace an existing one', async () => {
+    const etag = computeEtag(await readContent('guide/setup.md'));
+
+    const conflict = await send({
+      method: 'POST',
+      url: '/api/move',
+      headers: { 'if-match': etag },
+      body: { from: 'guide/setup.md', to: 'guide/intro.md' }
+    });
+    expect(conflict.statusCode).toBe(409);
+
+    const res = await send({
+      method: 'POST',
+      url: '/api/move',
+      headers: { 'if-match': etag },
+      body: { from: 'guide/setup.md', to: 'install/setup.md' }
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.location).toBe('/api/content/install/setup.md');
+    await expect(readContent('guide/setup.md')).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(ContentIndex.getDocument('install/setup.md')).not.toBeNull();
+  });
+
+  it('deletes a document with a matching If-Match', async () => {
+    const url = '/api/content/install/setup.md';
+    expect((await send({ method: 'DELETE', url })).statusCode).toBe(428);
+
+    const etag = computeEtag(await readContent('install/setup.md'));
+    expect((await send({ method: 'DELETE', url, headers: { 'if-match': etag } })).statusCode).toBe(204);
+    expect(ContentIndex.getDocument('install/setup.md')).toBeNull();
+    expect((await send({ method: 'DELETE', url, headers: { 'if-match': etag } })).statusCode).toBe(404);
+  });
+});
+
+describe('PUT /api/order', () => {
+  it('sets the order of the listed entries only, editing their metadata in place', async () => {
+    const unlisted = await Promise.all(['manual/c.md', 'manual/d.md'].map(readContent));
+
+    const res = await send({ method: 'PUT', url: '/api/order/manual', body: { order: ['sub', 'b.html', 'a.md'] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.order.map(entry => [entry.name, entry.order])).toEqual([['sub', 1], ['b.html', 2], ['a.md', 3]]);
+    expect(res.body.updated.sort()).toEqual(['manual/a.md', 'manual/b.html', 'manual/sub/.metadata']);
+
+    expect(await readContent('manual/sub/.metadata')).toBe('title: Sub # short for subsection\norder: 1\n');
+    expect(await readContent('manual/b.html')).toBe('<!DOCTYPE html>\n<!--\n---\norder: 2\n---\n-->\n<html><body>B</body></html>\n');
+    expect(await readContent('manual/a.md')).toBe('---\n# Kept as written\ntitle: A\ntags: [x, y]\norder: 3\n---\n# A\n');
+    expect(await Promise.all(['manual/c.md', 'manual/d.md'].map(readContent))).toEqual(unlisted);
+  });
+
+  it('does not rewrite entries already in place', async () => {
+    const res = await send({ method: 'PUT', url: '/api/order/manual', body: { order: ['sub', 'b.html'] } });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.updated).toEqual([]);
+  });
+
+  it('refuses names that are not entries of the directory', async () => {
+    const res = await send({ method: 'PUT', url: '/api/order/manual', body: { order: ['a.md', 'missing.md'] } });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details).toContain('missing.md');
+  });
+});
+
+describe('indexes after a write', () => {
+  // The watcher is not running in the specs: writes must update the indexes themselves
+  const search = async query => (await SearchService.searchDocuments({ query, principal: EDITOR })).results.map(result => result.path);
+  const backlinks = async target => (await LinkService.findBacklinks(target, EDITOR)).backlinks.map(link => link.source);
+
+  it('keeps search and backlinks in step with created, changed and deleted documents', async () => {
+    expect(await search('tusks')).toEqual([]);
+    expect(await backlinks('guide/intro.md')).toEqual([]);
+
+    const created = await send({
+      method: 'PUT',
+      url: '/api/content/guide/walrus.md',
+      headers: { 'content-type': 'text/markdown' },
+      body: '# Walrus\n\nTusks, see the [introduction](intro.md).\n'
+    });
+    expect(created.statusCode).toBe(201);
+    expect(await search('tusks')).toEqual(['guide/walrus.md']);
+    expect(await backlinks('guide/intro.md')).toEqual(['guide/walrus.md']);
+
+    const changed = await send({
+      method: 'PUT',
+      url: '/api/content/guide/walrus.md',
+      headers: { 'content-type': 'text/markdown', 'if-match': created.headers.etag },
+      body: '# Walrus\n\nWhiskers.\n'
+    });
+    expect(changed.statusCode).toBe(200);
+    expect(await search('tusks')).toEqual([]);
+    expect(await search('whiskers')).toEqual(['guide/walrus.md']);
+    expect(await backlinks('guide/intro.md')).toEqual([]);
+
+    const deleted = await send({ method: 'DELETE', url: '/api/content/guide/walrus.md', headers: { 'if-match': changed.headers.etag } });
+    expect(deleted.statusCode).toBe(204);
+    expect(await search('whiskers')).toEqual([]);
+  });
+});
@@ -0,0 +1,11 @@
+import path from 'path';
+import { config } from '../config/app.config.js';
+
+/**
+ * Check whether a file name has one of the configured content extensions
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True if the file is a content file
+ */
+export function isContentFile(fileName) {
+  return config.contentExtensions.includes(path.extname(fileName).toLowerCase());
+}
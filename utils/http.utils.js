@@ -0,0 +1,519 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { config } from '../config/app.config.js';
+import { createLogger } from '../logger.js';
+
+const LOG = createLogger('Http');
+
+// One-shot compressors for buffered bodies
+const COMPRESSORS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip),
+  deflate: promisify(zlib.deflate)
+};
+
+// Streaming compressors for streamed bodies
+const STREAM_COMPRESSORS = {
+  br: () => zlib.createBrotliCompress(brotliOptions()),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate()
+};
+
+// Size of the chunks written when streaming a JSON body
+const STREAM_CHUNK_SIZE = 16 * 1024;
+
+// Request headers that select the representation: encoding, and the caller's credentials
+// (responses only list the content the caller is allowed to see)
+const VARY = 'Accept-Encoding, Authorization, X-API-Key';
+
+/**
+ * Compute a strong entity tag for a representation
+ * @param {string|Buffer} content - Content the tag identifies
+ * @returns {string} Quoted ETag value
+ */
+export function computeEtag(content) {
+  const hash = crypto.createHash('sha1').update(content).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Send a JSON response with cache validators and content negotiation
+ * Successful responses carry an ETag (derived from the body unless given) and an optional
+ * Last-Modified header; matching If-None-Match / If-Modified-Since requests get a 304.
+ * Bodies of at least config.compression.minSize bytes are compressed when the client accepts it.
+ * HEAD requests receive the same headers without a body.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response payload
+ * @param {Object} [validators] - Cache validators
+ * @param {string} [validators.etag] - Precomputed ETag
+ * @param {Date} [validators.lastModified] - Last modification date of the resource
+ * @returns {Promise<void>}
+ */
+export async function sendJson(req, res, statusCode, data, { etag, lastModified } = {}) {
+  const body = JSON.stringify(data);
+  res.setHeader('Content-Type', 'application/json');
+  appendVary(res, VARY);
+
+  if (statusCode === 200 && applyValidators(req, res, etag || computeEtag(body), lastModified)) {
+    return;
+  }
+
+  res.statusCode = statusCode;
+
+  const encoding = Buffer.byteLength(body) >= config.compression.minSize ? negotiateEncoding(req) : null;
+  let payload = body;
+
+  if (encoding) {
+    try {
+      payload = await COMPRESSORS[encoding](body, encoding === 'br' ? brotliOptions() : undefined);
+      setContentEncoding(res, encoding);
+    } catch (error) {
+      LOG.error(`Error compressing response with ${encoding}:`, error);
+      payload = body;
+    }
+  }
+
+  res.setHeader('Content-Length', Buffer.byteLength(payload));
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+/**
+ * Stream a JSON response instead of buffering it
+ * Top-level arrays (e.g. `items`, `results`) are serialized element by element.
+ * The body is compressed once it reaches config.compression.minSize bytes and the client accepts it;
+ * smaller bodies are sent as-is with a Content-Length.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response payload
+ * @param {Object} [validators] - Cache validators; a streamed body cannot be hashed up front, so only given ones are used
+ * @param {string} [validators.etag] - Precomputed ETag
+ * @param {Date} [validators.lastModified] - Last modification date of the resource
+ * @returns {Promise<void>}
+ */
+export async function streamJson(req, res, statusCode, data, { etag, lastModified } = {}) {
+  res.setHeader('Content-Type', 'application/json');
+  appendVary(res, VARY);
+
+  if (statusCode === 200 && (etag || lastModified) && applyValidators(req, res, etag, lastModified)) {
+    return;
+  }
+
+  res.statusCode = statusCode;
+
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  // Buffer the beginning of the body to decide whether compression is worth it
+  const chunks = jsonChunks(data);
+  let head = '';
+  let next = chunks.next();
+  while (!next.done && Buffer.byteLength(head) < config.compression.minSize) {
+    head += next.value;
+    next = chunks.next();
+  }
+
+  if (next.done) {
+    res.setHeader('Content-Length', Buffer.byteLength(head));
+    res.end(head);
+    return;
+  }
+
+  const remaining = next;
+  const source = Readable.from((function* () {
+    let pending = head + remaining.value;
+    for (const chunk of chunks) {
+      pending += chunk;
+      if (pending.length >= STREAM_CHUNK_SIZE) {
+        yield pending;
+        pending = '';
+      }
+    }
+    if (pending) yield pending;
+  })());
+
+  const encoding = negotiateEncoding(req);
+  try {
+    if (encoding) {
+      setContentEncoding(res, encoding);
+      await pipeline(source, STREAM_COMPRESSORS[encoding](), res);
+    } else {
+      await pipeline(source, res);
+    }
+  } catch (error) {
+    // Usually the client went away before the end of the stream
+    LOG.warn(`Streaming response interrupted: ${error.message}`);
+  }
+}
+
+/**
+ * Add header names to the Vary header, keeping the ones already set (e.g. Origin by the CORS middleware)
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} value - Comma-separated header names
+ */
+export function appendVary(res, value) {
+  const names = String(res.getHeader('Vary') || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name.length > 0);
+
+  for (const name of value.split(',').map(item => item.trim())) {
+    if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      names.push(name);
+    }
+  }
+
+  res.setHeader('Vary', names.join(', '));
+}
+
+/**
+ * Pick the response encoding from the Accept-Encoding header
+ * Honours q-values; ties are broken by the order of config.compression.encodings.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @returns {string|null} 'br', 'gzip', 'deflate' or null for identity
+ */
+export function negotiateEncoding(req) {
+  if (!config.compression.enabled) return null;
+
+  const header = req.headers['accept-encoding'];
+  if (!header) return null;
+
+  const accepted = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+    accepted.set(name, Number.isNaN(quality) ? 0 : quality);
+  }
+
+  let best = null;
+  let bestQuality = 0;
+  for (const encoding of config.compression.encodings) {
+    const quality = accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0);
+    if (quality > bestQuality) {
+      best = encoding;
+      bestQuality = quality;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Set cache validators and answer 304 when the client's copy is current
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} [etag] - ETag of the representation
+ * @param {Date} [lastModified] - Last modification date of the resource
+ * @returns {boolean} True if a 304 response was sent
+ */
+function applyValidators(req, res, etag, lastModified) {
+  if (etag) {
+    res.setHeader('ETag', etag);
+  }
+  // Responses filtered for an authenticated caller must not be stored by shared caches
+  res.setHeader('Cache-Control', req.user?.id ? `private, ${config.http.cacheControl}` : config.http.cacheControl);
+  if (lastModified) {
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (isNotModified(req, etag, lastModified)) {
+    res.statusCode = 304;
+    res.removeHeader('Content-Type');
+    res.end();
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Mark a response as compressed
+ * The ETag becomes weak because the encoded bytes differ from the identity representation.
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} encoding - Content coding
+ */
+function setContentEncoding(res, encoding) {
+  res.setHeader('Content-Encoding', encoding);
+
+  const etag = res.getHeader('ETag');
+  if (etag && !String(etag).startsWith('W/')) {
+    res.setHeader('ETag', `W/${etag}`);
+  }
+}
+
+/**
+ * Brotli settings favouring speed over ratio, suitable for on-the-fly compression
+ * @returns {zlib.BrotliOptions}
+ */
+function brotliOptions() {
+  return {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: config.compression.brotliQuality
+    }
+  };
+}
+
+/**
+ * Serialize a value to JSON in chunks
+ * Objects and arrays of the first two levels are emitted piece by piece; deeper values are
+ * serialized whole. The concatenated output equals JSON.stringify(value).
+ * @param {*} value - Value to serialize
+ * @param {number} [depth=0] - Current nesting level
+ * @returns {Generator<string>} JSON chunks
+ */
+function* jsonChunks(value, depth = 0) {
+  if (depth < 2 && Array.isArray(value)) {
+    yield '[';
+    for (let i = 0; i < value.length; i++) {
+      if (i > 0) yield ',';
+      const item = value[i];
+      yield* (item === undefined || typeof item === 'function' ? ['null'] : jsonChunks(item, depth + 1));
+    }
+    yield ']';
+    return;
+  }
+
+  if (depth < 2 && value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    yield '{';
+    let first = true;
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined || typeof item === 'function') continue;
+      yield `${first ? '' : ','}${JSON.stringify(key)}:`;
+      yield* jsonChunks(item, depth + 1);
+      first = false;
+    }
+    yield '}';
+    return;
+  }
+
+  yield JSON.stringify(value);
+}
+
+/**
+ * Parse a Range request header for a single byte range
+ * Multiple ranges are not supported; they are ignored so that the whole body is sent.
+ * @param {string} [header] - Range header value
+ * @param {number} size - Size of the representation in bytes
+ * @returns {{start: number, end: number}|null|false} Inclusive byte range, null to send the whole
+ *   body, or false if the range cannot be satisfied (416)
+ */
+export function parseRange(header, size) {
+  if (!header) return null;
+
+  const match = header.trim().match(/^bytes=(\d*)-(\d*)$/);
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return false;
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return false;
+
+  return { start, end };
+}
+
+/**
+ * Evaluate conditional request headers
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110, section 13.2.2).
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {string} etag - Current ETag
+ * @param {Date} [lastModified] - Last modification date of the resource
+ * @returns {boolean} True if the client's copy is still current
+ */
+export function isNotModified(req, etag, lastModified) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch && etag) {
+    if (ifNoneMatch.trim() === '*') return true;
+
+    // Weak comparison: W/"x" matches "x"
+    const opaqueTag = etag.replace(/^W\//, '');
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(opaqueTag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have a one-second resolution
+    return !Number.isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Read a single-valued query parameter
+ * The router turns a repeated key (`?q=a&q=b`) into an array, which no parameter accepts.
+ * @param {http.IncomingMessage} req - HTTP request object, with req.query set
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Value, undefined if the parameter is missing
+ * @throws {HttpError} 400 if the parameter is given more than once
+ */
+export function getQueryParam(req, name) {
+  const value = req.query?.[name];
+  if (value === undefined || typeof value === 'string') return value;
+  throw new HttpError(400, 'Invalid query', `The '${name}' parameter must be given once`);
+}
+
+/**
+ * Error answered with its own status code and a `{error, details}` body
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} error - Short error title
+   * @param {string} [details] - Explanation
+   */
+  constructor(statusCode, error, details) {
+    super(details || error);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.error = error;
+    this.details = details;
+  }
+
+  /**
+   * Response body
+   * @returns {{error: string, details?: string}}
+   */
+  toJSON() {
+    return {
+      error: this.error,
+      ...(this.details !== undefined && { details: this.details })
+    };
+  }
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {number} maxSize - Largest accepted body in bytes
+ * @returns {Promise<string>} Body decoded as UTF-8
+ * @throws {HttpError} 413 if the body is larger than maxSize
+ */
+export function readBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        // Keep reading (and dropping) the body so that the 413 response can be delivered
+        tooLarge = true;
+        chunks.length = 0;
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (tooLarge) {
+        reject(new HttpError(413, 'Payload Too Large', `The request body exceeds ${maxSize} bytes`));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read a JSON object request body
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {number} maxSize - Largest accepted body in bytes
+ * @returns {Promise<Object>} Parsed body
+ * @throws {HttpError} 413 if the body is too large, 400 if it is not a JSON object
+ */
+export async function readJsonBody(req, maxSize) {
+  const body = await readBody(req, maxSize);
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(400, 'Invalid JSON body', error.message);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, 'Invalid JSON body', 'The body must be a JSON object');
+  }
+  return data;
+}
+
+/**
+ * Evaluate the preconditions of a write request (If-Match, If-None-Match)
+ * The ETags of a document's GET responses start with the hash of the file, followed by a suffix for
+ * derived representations (`-assets`, `-html`); any of them identifies the file. If-Match uses the
+ * strong comparison of RFC 9110 (weak `W/` tags never match), If-None-Match the weak one.
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {string|null} currentEtag - computeEtag of the current file, or null if it does not exist
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - Whether an existing resource may only be changed with If-Match
+ * @returns {{statusCode: number, error: string, details: string}|null} Failed precondition (412, or
+ *   428 when If-Match is required but missing), or null if the request may proceed
+ */
+export function checkPreconditions(req, currentEtag, { required = false } = {}) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifMatch) {
+    if (currentEtag === null) {
+      return { statusCode: 412, error: 'Precondition Failed', details: 'The document does not exist' };
+    }
+    if (!matchesAny(ifMatch, currentEtag, { weak: false })) {
+      return { statusCode: 412, error: 'Precondition Failed', details: 'The document was changed since it was read' };
+    }
+  } else if (required && currentEtag !== null) {
+    return {
+      statusCode: 428,
+      error: 'Precondition Required',
+      details: 'Send the ETag of the document in an If-Match header'
+    };
+  }
+
+  if (ifNoneMatch && currentEtag !== null && matchesAny(ifNoneMatch, currentEtag, { weak: true })) {
+    return { statusCode: 412, error: 'Precondition Failed', details: 'The document already exists' };
+  }
+
+  return null;
+}
+
+/**
+ * Check an If-Match / If-None-Match header against the ETag of a file
+ * @param {string} header - Header value: '*' or a list of entity tags
+ * @param {string} etag - computeEtag of the file
+ * @param {Object} options
+ * @param {boolean} options.weak - Weak comparison: `W/` tags match too; otherwise they never do
+ * @returns {boolean} True if the header matches
+ */
+function matchesAny(header, etag, { weak }) {
+  if (header.trim() === '*') return true;
+
+  const prefix = etag.slice(0, -1);
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => weak || !tag.startsWith('W/'))
+    .map(tag => tag.replace(/^W\//, ''))
+    .some(tag => tag === etag || tag.startsWith(`${prefix}-`));
+}
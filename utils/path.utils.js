@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CONTENT_DIR } from '../config/content-dir.js';
+
+/**
+ * Error raised for a path that must not be resolved against CONTENT_DIR
+ */
+export class PathError extends Error {
+  /**
+   * @param {string} message - Reason the path was rejected
+   * @param {string} [requestedPath] - Path as received
+   */
+  constructor(message, requestedPath) {
+    super(message);
+    this.name = 'PathError';
+    this.statusCode = 400;
+    this.path = requestedPath;
+  }
+
+  /**
+   * Response body shared by every route rejecting a path
+   * @returns {{error: string, details: string, path?: string}}
+   */
+  toJSON() {
+    return {
+      error: 'Invalid path',
+      details: this.message,
+      ...(this.path !== undefined && { path: this.path })
+    };
+  }
+}
+
+/**
+ * Normalize a client-supplied path to the form used throughout the API
+ * The result is relative to CONTENT_DIR, uses '/' separators, and has no leading, trailing or
+ * repeated slashes and no '.' segments ('' is the root).
+ * @param {string} [requestedPath] - Decoded path from the URL or a query parameter
+ * @returns {string} Normalized relative path
+ * @throws {PathError} For NUL bytes, encoded or Windows separators, drive letters and '..' segments
+ */
+export function normalizeContentPath(requestedPath) {
+  if (requestedPath === undefined || requestedPath === null) return '';
+
+  const input = String(requestedPath);
+
+  if (input.includes('\0')) {
+    throw new PathError('NUL bytes are not allowed in paths', input);
+  }
+  // Still percent-encoded after decoding: double-encoded separator or NUL
+  if (/%(2f|5c|00)/i.test(input)) {
+    throw new PathError('Encoded path separators are not allowed', input);
+  }
+  if (input.includes('\\')) {
+    throw new PathError('Backslashes are not allowed in paths', input);
+  }
+  if (/^[a-zA-Z]:/.test(input)) {
+    throw new PathError('Absolute paths are not allowed', input);
+  }
+
+  const segments = input.split('/').filter(segment => segment !== '' && segment !== '.');
+
+  if (segments.includes('..')) {
+    throw new PathError('Path traversal is not allowed', input);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Resolve a client-supplied path to a location inside CONTENT_DIR
+ * On top of normalizeContentPath, symbolic links are followed and the target must stay inside
+ * CONTENT_DIR. Missing paths are not an error; `exists` tells them apart. For a missing path the
+ * deepest existing ancestor must resolve inside CONTENT_DIR, so that creating it stays inside too.
+ * @param {string} [requestedPath] - Decoded path from the URL or a query parameter
+ * @returns {Promise<{relativePath: string, fullPath: string, exists: boolean}>}
+ * @throws {PathError} If the path is invalid or escapes CONTENT_DIR
+ */
+export async function resolveContentPath(requestedPath) {
+  const relativePath = normalizeContentPath(requestedPath);
+  const fullPath = path.join(CONTENT_DIR, relativePath);
+
+  let existingPath = fullPath;
+  let realPath = null;
+  while (realPath === null) {
+    try {
+      realPath = await fs.realpath(existingPath);
+    } catch (error) {
+      if ((error.code !== 'ENOENT' && error.code !== 'ENOTDIR') || existingPath === CONTENT_DIR) throw error;
+      existingPath = path.dirname(existingPath);
+    }
+  }
+
+  if (!isInside(await fs.realpath(CONTENT_DIR), realPath)) {
+    throw new PathError('Path resolves outside the content directory', requestedPath);
+  }
+
+  return { relativePath, fullPath, exists: existingPath === fullPath };
+}
+
+/**
+ * Check whether a path is a directory or lies below it
+ * @param {string} root - Absolute directory path
+ * @param {string} candidate - Absolute path
+ * @returns {boolean} True if candidate is root or inside it
+ */
+export function isInside(root, candidate) {
+  const relative = path.relative(root, candidate);
+  return relative === ''
+    || (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Check whether a path has a hidden segment (a name starting with '.', such as .git)
+ * Hidden files are never served, linked to or written, whatever the route.
+ * @param {string} relativePath - Normalized path relative to CONTENT_DIR
+ * @returns {boolean} True if a segment of the path is hidden
+ */
+export function isHiddenPath(relativePath) {
+  return relativePath.split('/').some(segment => segment.startsWith('.'));
+}
+
+/**
+ * Parent directory of a relative path ('' for the root)
+ * @param {string} relativePath - Normalized path relative to CONTENT_DIR
+ * @returns {string} Parent path
+ */
+export function parentOf(relativePath) {
+  const parent = path.posix.dirname(relativePath);
+  return parent === '.' ? '' : parent;
+}
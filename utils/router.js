@@ -0,0 +1,217 @@
+import url from 'url';
+import { createLogger } from '../logger.js';
+import { PathError } from './path.utils.js';
+
+const LOG = createLogger('Router');
+
+/**
+ * Minimal HTTP router with path parameters and an ordered middleware chain
+ *
+ * Patterns are literal segments plus parameters:
+ * - `:name` matches one segment
+ * - `:name*` (last segment only) matches the rest of the path, possibly empty
+ *
+ * Middlewares are `async (req, res, next)` functions run in registration order; each one calls
+ * `await next()` to hand over to the next middleware and finally to the matched route, and may
+ * answer the request itself instead. GET routes also answer HEAD.
+ */
+export class Router {
+  constructor() {
+    this.middlewares = [];
+    this.routes = [];
+  }
+
+  /**
+   * Append a middleware to the chain
+   * @param {Function} middleware - async (req, res, next) => void
+   * @returns {Router} This router
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Register a route
+   * Routes are matched in registration order.
+   * @param {string} method - HTTP method
+   * @param {string} pattern - Path pattern, e.g. '/api/content/:path*'
+   * @param {Function} handler - async (req, res) => void; req.params holds the decoded parameters
+   * @returns {Router} This router
+   */
+  route(method, pattern, handler) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      pattern,
+      handler,
+      ...compilePattern(pattern)
+    });
+    return this;
+  }
+
+  get(pattern, handler) {
+    return this.route('GET', pattern, handler);
+  }
+
+  post(pattern, handler) {
+    return this.route('POST', pattern, handler);
+  }
+
+  put(pattern, handler) {
+    return this.route('PUT', pattern, handler);
+  }
+
+  patch(pattern, handler) {
+    return this.route('PATCH', pattern, handler);
+  }
+
+  delete(pattern, handler) {
+    return this.route('DELETE', pattern, handler);
+  }
+
+  /**
+   * Handle an incoming request: parse the URL, run the middlewares, then dispatch to the route
+   * Sets req.path, req.query and req.params.
+   * @param {http.IncomingMessage} req - HTTP request object
+   * @param {http.ServerResponse} res - HTTP response object
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const parsedUrl = url.parse(req.url, true);
+    req.path = parsedUrl.pathname || '/';
+    req.query = parsedUrl.query;
+    req.params = {};
+
+    const dispatch = async (index) => {
+      if (index < this.middlewares.length) {
+        await this.middlewares[index](req, res, () => dispatch(index + 1));
+        return;
+      }
+      await this.dispatch(req, res);
+    };
+
+    await dispatch(0);
+  }
+
+  /**
+   * Find the route for a request and run it
+   * Answers 404 when no route matches the path and 405 (with an Allow header) when routes match the
+   * path but not the method.
+   * @private
+   */
+  async dispatch(req, res) {
+    const allowed = new Set();
+
+    for (const route of this.routes) {
+      const match = route.regex.exec(req.path);
+      if (!match) continue;
+
+      if (route.method !== req.method && !(route.method === 'GET' && req.method === 'HEAD')) {
+        allowed.add(route.method);
+        if (route.method === 'GET') allowed.add('HEAD');
+        continue;
+      }
+
+      try {
+        req.params = extractParams(route.keys, match);
+      } catch (error) {
+        if (!(error instanceof PathError)) throw error;
+        LOG.warn(`Rejected URL ${req.url}: ${error.message}`);
+        return sendError(res, 400, error.toJSON());
+      }
+
+      await route.handler(req, res);
+      return;
+    }
+
+    if (allowed.size > 0) {
+      allowed.add('OPTIONS');
+      res.setHeader('Allow', [...allowed].join(', '));
+      return sendError(res, 405, {
+        error: 'Method Not Allowed',
+        details: `${req.method} is not supported on ${req.path}`,
+        allowed: [...allowed]
+      });
+    }
+
+    return sendError(res, 404, { error: 'Not Found', path: req.path });
+  }
+}
+
+/**
+ * Compile a path pattern into a regular expression
+ * @param {string} pattern - Path pattern
+ * @returns {{regex: RegExp, keys: Array<{name: string, rest: boolean}>}}
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const segments = pattern.split('/').filter(Boolean);
+
+  const source = segments.map((segment, index) => {
+    const param = segment.match(/^:(\w+)(\*)?$/);
+    if (!param) {
+      return `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    }
+
+    const rest = Boolean(param[2]);
+    if (rest && index !== segments.length - 1) {
+      throw new Error(`Rest parameter must be the last segment: ${pattern}`);
+    }
+
+    keys.push({ name: param[1], rest });
+    return rest ? '(?:/(.*))?' : '/([^/]+)';
+  }).join('');
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Decode the parameters of a matched route
+ * Segments are decoded one by one so that an encoded slash or backslash cannot add a path level.
+ * @param {Array<{name: string, rest: boolean}>} keys - Parameter names
+ * @param {RegExpExecArray} match - Regular expression match
+ * @returns {Object<string, string>} Decoded parameters
+ * @throws {PathError} If a parameter is malformed or contains an encoded separator
+ */
+function extractParams(keys, match) {
+  const params = {};
+  keys.forEach((key, index) => {
+    const raw = match[index + 1] || '';
+    params[key.name] = raw.split('/').map(segment => decodeSegment(segment, raw)).join('/').trim();
+  });
+  return params;
+}
+
+/**
+ * Decode one path segment
+ * @param {string} segment - Raw segment
+ * @param {string} raw - Whole raw parameter, for error reporting
+ * @returns {string} Decoded segment
+ * @throws {PathError} If the segment is malformed or decodes to a separator
+ */
+function decodeSegment(segment, raw) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch (error) {
+    throw new PathError('Malformed URL encoding', raw);
+  }
+
+  if (decoded.includes('/') || decoded.includes('\\')) {
+    throw new PathError('Encoded path separators are not allowed', raw);
+  }
+
+  return decoded;
+}
+
+/**
+ * Send a JSON error response
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} data - Response payload
+ */
+function sendError(res, statusCode, data) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
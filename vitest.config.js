@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    env: {
+      // Keep the console quiet; set LOG_LEVEL=debug to follow a failing spec
+      LOG_LEVEL: process.env.LOG_LEVEL || 'off'
+    }
+  }
+});